@@ -11,6 +11,7 @@ const syncManager = {
     pb: pb,
     _userRecordCache: null,
     _isSyncing: false,
+    _syncPromise: null,
 
     async _getUserRecord(uid) {
         if (!uid) {
@@ -386,11 +387,22 @@ const syncManager = {
         }
     },
 
+    isSyncing() {
+        return this._isSyncing;
+    },
+
+    // Resolves once the sync in progress, if any, has imported the cloud library
+    whenSynced() {
+        return this._isSyncing ? this._syncPromise : Promise.resolve();
+    },
+
     async onAuthStateChanged(user) {
         if (user) {
             if (this._isSyncing) return;
 
             this._isSyncing = true;
+            let finishSync;
+            this._syncPromise = new Promise((resolve) => (finishSync = resolve));
 
             try {
                 const cloudData = await this.getUserData();
@@ -495,6 +507,7 @@ const syncManager = {
                 console.error('Error during PocketBase sync!', error);
             } finally {
                 this._isSyncing = false;
+                finishSync();
             }
         } else {
             this._userRecordCache = null;
@@ -16,39 +16,49 @@ import { initializeSettings } from './settings.js';
 import { initializePlayerEvents, initializeTrackInteractions, handleTrackAction } from './events.js';
 import { initializeUIInteractions } from './ui-interactions.js';
 import { downloadAlbumAsZip, downloadDiscography, downloadPlaylistAsZip } from './downloads.js';
-import { debounce, SVG_PLAY } from './utils.js';
+import { debounce, createPlaceholder, SVG_PLAY } from './utils.js';
 import { sidePanelManager } from './side-panel.js';
 import { db } from './db.js';
 import { syncManager } from './accounts/pocketbase.js';
+import { jellyfinSync } from './providers/jellyfin-sync.js';
+import { instanceProbes } from './instance-probes.js';
+import { initializeSearchTypeahead } from './search-typeahead.js';
+import { dedupeTracks } from './track-matching.js';
+import { groupDiscography } from './discography.js';
 import { registerSW } from 'virtual:pwa-register';
 import './smooth-scrolling.js';
 import { readTrackMetadata } from './metadata.js';
 import { SpecialsManager } from './specials.js';
 
+// audioPlayer is the gapless output: its active element changes at every track handoff, so the
+// element is looked up whenever it's needed and per-element listeners go on both
 function initializeCasting(audioPlayer, castBtn) {
     if (!castBtn) return;
-
-    if ('remote' in audioPlayer) {
-        audioPlayer.remote
-            .watchAvailability((available) => {
-                if (available) {
-                    castBtn.style.display = 'flex';
-                    castBtn.classList.add('available');
-                }
-            })
-            .catch((err) => {
-                console.log('Remote playback not available:', err);
-                if (window.innerWidth > 768) {
-                    castBtn.style.display = 'flex';
-                }
-            });
+    const probe = audioPlayer.element;
+
+    if ('remote' in probe) {
+        audioPlayer.elements.forEach((element) =>
+            element.remote
+                .watchAvailability((available) => {
+                    if (available) {
+                        castBtn.style.display = 'flex';
+                        castBtn.classList.add('available');
+                    }
+                })
+                .catch((err) => {
+                    console.log('Remote playback not available:', err);
+                    if (window.innerWidth > 768) {
+                        castBtn.style.display = 'flex';
+                    }
+                })
+        );
 
         castBtn.addEventListener('click', () => {
             if (!audioPlayer.src) {
                 alert('Please play a track first to enable casting.');
                 return;
             }
-            audioPlayer.remote.prompt().catch((err) => {
+            audioPlayer.element.remote.prompt().catch((err) => {
                 if (err.name === 'NotAllowedError') return;
                 if (err.name === 'NotFoundError') {
                     alert('No remote playback devices (Chromecast/AirPlay) were found on your network.');
@@ -59,36 +69,40 @@ function initializeCasting(audioPlayer, castBtn) {
         });
 
         audioPlayer.addEventListener('playing', () => {
-            if (audioPlayer.remote && audioPlayer.remote.state === 'connected') {
+            if (audioPlayer.element.remote?.state === 'connected') {
                 castBtn.classList.add('connected');
             }
         });
 
         audioPlayer.addEventListener('pause', () => {
-            if (audioPlayer.remote && audioPlayer.remote.state === 'disconnected') {
+            if (audioPlayer.element.remote?.state === 'disconnected') {
                 castBtn.classList.remove('connected');
             }
         });
-    } else if (audioPlayer.webkitShowPlaybackTargetPicker) {
+    } else if (probe.webkitShowPlaybackTargetPicker) {
         castBtn.style.display = 'flex';
         castBtn.classList.add('available');
 
         castBtn.addEventListener('click', () => {
-            audioPlayer.webkitShowPlaybackTargetPicker();
+            audioPlayer.element.webkitShowPlaybackTargetPicker();
         });
 
-        audioPlayer.addEventListener('webkitplaybacktargetavailabilitychanged', (e) => {
-            if (e.availability === 'available') {
-                castBtn.classList.add('available');
-            }
+        audioPlayer.elements.forEach((element) => {
+            element.addEventListener('webkitplaybacktargetavailabilitychanged', (e) => {
+                if (e.availability === 'available') {
+                    castBtn.classList.add('available');
+                }
+            });
+
+            element.addEventListener('webkitcurrentplaybacktargetiswirelesschanged', () => {
+                if (element !== audioPlayer.element) return;
+                castBtn.classList.toggle('connected', element.webkitCurrentPlaybackTargetIsWireless);
+            });
         });
 
-        audioPlayer.addEventListener('webkitcurrentplaybacktargetiswirelesschanged', () => {
-            if (audioPlayer.webkitCurrentPlaybackTargetIsWireless) {
-                castBtn.classList.add('connected');
-            } else {
-                castBtn.classList.remove('connected');
-            }
+        // After a handoff the element now playing may not be on the wireless target the previous one was
+        audioPlayer.addEventListener('playing', () => {
+            castBtn.classList.toggle('connected', Boolean(audioPlayer.element.webkitCurrentPlaybackTargetIsWireless));
         });
     } else if (window.innerWidth > 768) {
         castBtn.style.display = 'flex';
@@ -187,9 +201,11 @@ function hideOfflineNotification() {
 document.addEventListener('DOMContentLoaded', async () => {
     const api = new LosslessAPI(apiSettings);
 
-    const audioPlayer = document.getElementById('audio-player');
     const currentQuality = localStorage.getItem('playback-quality') || 'HI_RES_LOSSLESS';
-    const player = new Player(audioPlayer, api, currentQuality);
+    const player = new Player(document.getElementById('audio-player'), api, currentQuality);
+    await player.ready;
+    // Stands in for the audio element and follows playback across gapless handoffs
+    const audioPlayer = player.audio;
 
     const ui = new UIRenderer(api, player);
     const scrobbler = new LastFMScrobbler();
@@ -221,6 +237,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     themeManager.setTheme(currentTheme);
     trackListSettings.getMode();
 
+    jellyfinSync.init(api);
     initializeSettings(scrobbler, player, api, ui);
     initializePlayerEvents(player, audioPlayer, scrobbler, ui);
     initializeTrackInteractions(
@@ -238,6 +255,20 @@ document.addEventListener('DOMContentLoaded', async () => {
     const castBtn = document.getElementById('cast-btn');
     initializeCasting(audioPlayer, castBtn);
 
+    // Probe instance capabilities in the background once startup traffic has settled
+    setTimeout(async () => {
+        try {
+            const [apiInstances, streamingInstances] = await Promise.all([
+                api.settings.getInstances('api'),
+                api.settings.getInstances('streaming'),
+            ]);
+            await instanceProbes.probeAll({ api: apiInstances, streaming: streamingInstances }, { onlyStale: true });
+            if (window.location.hash === '#settings') ui.renderApiSettings();
+        } catch (error) {
+            console.warn('Capability probes failed:', error);
+        }
+    }, 15000);
+
     // Restore UI state for the current track (like button, theme)
     if (player.currentTrack) {
         ui.setCurrentTrack(player.currentTrack);
@@ -488,7 +519,7 @@ document.addEventListener('DOMContentLoaded', async () => {
                             playlist.name = name;
                             playlist.cover = cover;
                             await handlePublicStatus(playlist);
-                            await db.performTransaction('user_playlists', 'readwrite', (store) => store.put(playlist));
+                            await db.updatePlaylist(playlist);
                             syncManager.syncUserPlaylist(playlist, 'update');
                             ui.renderLibraryPage();
                             // Also update current page if we are on it
@@ -578,6 +609,10 @@ document.addEventListener('DOMContentLoaded', async () => {
             }
         }
 
+        if (e.target.closest('.search-load-more')) {
+            ui.loadMoreSearchResults(e.target.closest('.search-load-more').dataset.type);
+        }
+
         if (e.target.closest('#playlist-modal-cancel')) {
             document.getElementById('playlist-modal').classList.remove('active');
         }
@@ -656,6 +691,26 @@ document.addEventListener('DOMContentLoaded', async () => {
             });
         }
 
+        if (e.target.closest('#dedupe-playlist-btn')) {
+            const playlistId = window.location.hash.split('/')[1];
+            const playlist = await db.getPlaylist(playlistId);
+            if (!playlist) return;
+
+            const { removed } = dedupeTracks(playlist.tracks || []);
+            if (removed.length === 0) {
+                alert('No duplicate tracks found in this playlist.');
+                return;
+            }
+            const count = `${removed.length} duplicate track${removed.length === 1 ? '' : 's'}`;
+            if (!confirm(`Remove ${count}? The first copy of each recording is kept.`)) return;
+
+            const { playlist: updatedPlaylist } = await db.dedupePlaylist(playlistId);
+            syncManager.syncUserPlaylist(updatedPlaylist, 'update');
+            const scrollTop = document.querySelector('.main-content').scrollTop;
+            await ui.renderPlaylistPage(playlistId, 'user');
+            document.querySelector('.main-content').scrollTop = scrollTop;
+        }
+
         if (e.target.closest('#delete-playlist-btn')) {
             const playlistId = window.location.hash.split('/')[1];
             if (confirm('Are you sure you want to delete this playlist?')) {
@@ -844,8 +899,19 @@ document.addEventListener('DOMContentLoaded', async () => {
             if (!artistId) return;
 
             try {
-                const artist = await api.getArtist(artistId);
-                showDiscographyDownloadModal(artist, api, downloadQualitySettings.getQuality(), lyricsManager, btn);
+                const [artist, releases] = await Promise.all([
+                    api.getArtist(artistId),
+                    api.getArtistDiscography(artistId),
+                ]);
+                const groups = groupDiscography(releases, artistId);
+                showDiscographyDownloadModal(
+                    artist,
+                    groups,
+                    api,
+                    downloadQualitySettings.getQuality(),
+                    lyricsManager,
+                    btn
+                );
             } catch (error) {
                 console.error('Failed to load artist for discography download:', error);
                 alert('Failed to load artist: ' + error.message);
@@ -932,7 +998,8 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     searchInput.addEventListener('input', (e) => {
         const query = e.target.value.trim();
-        if (query.length > 2) {
+        // Wait for a value before searching with a half typed qualifier like `artist:`
+        if (query.length > 2 && !/\w+:"?$/.test(query)) {
             performSearch(query);
         }
     });
@@ -945,6 +1012,8 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     });
 
+    initializeSearchTypeahead(api, player);
+
     window.addEventListener('online', () => {
         hideOfflineNotification();
         console.log('Back online');
@@ -955,85 +1024,42 @@ document.addEventListener('DOMContentLoaded', async () => {
         console.log('Gone offline');
     });
 
+    window.addEventListener('api-cache-stale', (e) => {
+        // A background refresh for a page that is no longer showing
+        if (e.detail.route !== window.location.hash) return;
+        ui.showCachedMarker(e.detail.cachedAt, e.detail.reason);
+    });
+
     document.querySelector('.play-pause-btn').innerHTML = SVG_PLAY;
 
     const router = createRouter(ui);
 
-    // Session-based scroll positions (transient, cleared on refresh)
-    const scrollPositions = new Map();
-    const navStack = [window.location.hash];
-    let navIndex = 0;
-    let isGoingBack = false;
-
     const updateNavButtons = () => {
         const backBtn = document.getElementById('nav-back');
         const fwdBtn = document.getElementById('nav-forward');
-        if (backBtn) backBtn.disabled = navIndex <= 0;
-        if (fwdBtn) fwdBtn.disabled = navIndex >= navStack.length - 1;
+        if (backBtn) backBtn.disabled = !router.canGoBack();
+        if (fwdBtn) fwdBtn.disabled = !router.canGoForward();
     };
 
-    const handleRouter = async (e) => {
-        const hash = window.location.hash;
-
-        // 1. Update history state and determine direction
-        if (e && e.oldURL) {
-            try {
-                const url = new URL(e.oldURL);
-                const oldHash = url.hash || '#home';
-
-                // Save scroll position for the old page
-                const content = document.querySelector('.main-content');
-                if (content) {
-                    scrollPositions.set(oldHash, content.scrollTop);
-                }
-
-                if (hash !== navStack[navIndex]) {
-                    if (navIndex > 0 && hash === navStack[navIndex - 1]) {
-                        navIndex--;
-                        isGoingBack = true;
-                    } else if (navIndex < navStack.length - 1 && hash === navStack[navIndex + 1]) {
-                        navIndex++;
-                        isGoingBack = false;
-                    } else {
-                        navIndex++;
-                        navStack.splice(navIndex);
-                        navStack.push(hash);
-                        isGoingBack = false;
-                    }
-                }
-            } catch {
-                isGoingBack = false;
-            }
-        }
+    // The library would render from a half-imported database, so hold it until the cloud sync lands
+    router.beforeEach(async (to) => {
+        if (to.name !== 'library' || !syncManager.isSyncing()) return;
+        ui.showPage('library');
+        document.getElementById('library-tracks-container').innerHTML = createPlaceholder(
+            'Syncing your library...',
+            true
+        );
+        await syncManager.whenSynced();
+    });
 
-        // 2. Render the new page
-        await router();
+    const handleRouter = async () => {
+        await router.resolve();
         updateNavButtons();
-
-        // 3. Handle scroll restoration
-        const content = document.querySelector('.main-content');
-        if (content) {
-            if (isGoingBack) {
-                const savedScroll = scrollPositions.get(hash || '#home');
-                if (savedScroll !== undefined) {
-                    setTimeout(() => {
-                        content.scrollTop = savedScroll;
-                    }, 0);
-                }
-            } else {
-                // For forward or new clicks, ensure we start at the top
-                content.scrollTop = 0;
-            }
-        }
-
-        // Reset flag
-        isGoingBack = false;
     };
 
     // Initial load
-    await handleRouter(null);
+    await handleRouter();
     window.addEventListener('hashchange', handleRouter);
-    updateNavButtons();
 
     audioPlayer.addEventListener('play', () => {
         updateTabTitle(player);
@@ -1510,18 +1536,24 @@ async function parseCSV(csvText, api, onProgress) {
     return { tracks, missingTracks };
 }
 
-function showDiscographyDownloadModal(artist, api, quality, lyricsManager, triggerBtn) {
+function showDiscographyDownloadModal(artist, groups, api, quality, lyricsManager, triggerBtn) {
     const modal = document.getElementById('discography-download-modal');
 
-    document.getElementById('discography-artist-name').textContent = artist.name;
-    document.getElementById('albums-count').textContent = artist.albums?.length || 0;
-    document.getElementById('eps-count').textContent = (artist.eps || []).filter((a) => a.type === 'EP').length;
-    document.getElementById('singles-count').textContent = (artist.eps || []).filter((a) => a.type === 'SINGLE').length;
+    // Checkbox and count ids for each choice, singles are split out of the EPs & Singles group
+    const options = [
+        { id: 'albums', releases: groups.albums, checked: true },
+        { id: 'eps', releases: groups.eps.filter((a) => a.type !== 'SINGLE'), checked: true },
+        { id: 'singles', releases: groups.eps.filter((a) => a.type === 'SINGLE'), checked: true },
+        { id: 'compilations', releases: groups.compilations, checked: false },
+        { id: 'live', releases: groups.live, checked: true },
+        { id: 'appears-on', releases: groups.appearsOn, checked: false },
+    ];
 
-    // Reset checkboxes
-    document.getElementById('download-albums').checked = true;
-    document.getElementById('download-eps').checked = true;
-    document.getElementById('download-singles').checked = true;
+    document.getElementById('discography-artist-name').textContent = artist.name;
+    for (const option of options) {
+        document.getElementById(`${option.id}-count`).textContent = option.releases.length;
+        document.getElementById(`download-${option.id}`).checked = option.checked && option.releases.length > 0;
+    }
 
     const closeModal = () => {
         modal.classList.remove('active');
@@ -1541,29 +1573,17 @@ function showDiscographyDownloadModal(artist, api, quality, lyricsManager, trigg
     modal.addEventListener('click', handleClose);
 
     document.getElementById('start-discography-download').onclick = async () => {
-        const includeAlbums = document.getElementById('download-albums').checked;
-        const includeEPs = document.getElementById('download-eps').checked;
-        const includeSingles = document.getElementById('download-singles').checked;
+        const selectedReleases = options
+            .filter((option) => document.getElementById(`download-${option.id}`).checked)
+            .flatMap((option) => option.releases);
 
-        if (!includeAlbums && !includeEPs && !includeSingles) {
+        if (selectedReleases.length === 0) {
             alert('Please select at least one type of release to download.');
             return;
         }
 
         closeModal();
 
-        // Filter releases based on selection
-        let selectedReleases = [];
-        if (includeAlbums) {
-            selectedReleases = selectedReleases.concat(artist.albums || []);
-        }
-        if (includeEPs) {
-            selectedReleases = selectedReleases.concat((artist.eps || []).filter((a) => a.type === 'EP'));
-        }
-        if (includeSingles) {
-            selectedReleases = selectedReleases.concat((artist.eps || []).filter((a) => a.type === 'SINGLE'));
-        }
-
         triggerBtn.disabled = true;
         const originalHTML = triggerBtn.innerHTML;
         triggerBtn.innerHTML =
@@ -0,0 +1,66 @@
+//js/autoplay.js
+// Builds the radio that keeps playing once the queue runs out. Suggestions come from the last few
+// queue items (their track mixes, artists and similar artists, see recommendTracks) with a couple of
+// the user's liked tracks by the same artists mixed in. Anything played recently is left out so the
+// radio can run indefinitely without looping
+import { recommendTracks } from './recommendations.js';
+import { db } from './db.js';
+import { ListeningStats } from './listening-stats.js';
+import { fisherYates } from './shuffle.js';
+
+const SEED_TRACKS = 5;
+const BATCH_SIZE = 10;
+// Liked tracks per batch, one every FAVORITE_SPACING suggestions
+const FAVORITES_PER_BATCH = 2;
+const FAVORITE_SPACING = 4;
+// History entries that won't come up again
+const HISTORY_WINDOW = 200;
+
+const primaryArtist = (track) => track.artist || track.artists?.[0] || null;
+
+const loadOrEmpty = async (label, task) => {
+    try {
+        return await task();
+    } catch (error) {
+        console.warn(`[Autoplay] ${label} failed:`, error);
+        return [];
+    }
+};
+
+// recentTracks are the queue items to continue from, oldest first. exclude holds ids that are
+// already queued. Resolves to tracks tagged with a recommendationReason, empty when nothing fits
+export async function buildContinuation(api, recentTracks, { limit = BATCH_SIZE, exclude = [] } = {}) {
+    const seeds = recentTracks.filter((t) => !t.isLocal && !t.isUnavailable).slice(-SEED_TRACKS);
+    if (seeds.length === 0) return [];
+
+    const seedArtists = [];
+    for (const track of [...seeds].reverse()) {
+        const artist = primaryArtist(track);
+        if (artist?.id && !seedArtists.some((a) => a.id === artist.id)) seedArtists.push(artist);
+    }
+
+    const [history, favorites] = await Promise.all([
+        loadOrEmpty('History', () => db.getHistory()),
+        loadOrEmpty('Favorites', () => db.getFavorites('track')),
+    ]);
+    const excluded = new Set([...exclude, ...history.slice(0, HISTORY_WINDOW).map((t) => t.id)]);
+
+    const seedArtistIds = new Set(seedArtists.map((a) => a.id));
+    const likedCandidates = favorites.filter(
+        (t) => !excluded.has(t.id) && !t.isUnavailable && seedArtistIds.has(primaryArtist(t)?.id)
+    );
+    const likedPicks = fisherYates(likedCandidates)
+        .slice(0, FAVORITES_PER_BATCH)
+        .map((t) => ({ ...t, recommendationReason: 'From your Liked Tracks' }));
+    likedPicks.forEach((t) => excluded.add(t.id));
+
+    const suggestions = await recommendTracks(api, seeds, seedArtists, {
+        limit: limit - likedPicks.length,
+        signals: new ListeningStats().getPlaySignals(),
+        exclude: excluded,
+    });
+
+    const tracks = [...suggestions];
+    likedPicks.forEach((track, i) => tracks.splice(Math.min((i + 1) * FAVORITE_SPACING - 1, tracks.length), 0, track));
+    return tracks;
+}
@@ -1,11 +1,54 @@
 //js/cache.js
+const MINUTE = 1000 * 60;
+const HOUR = MINUTE * 60;
+const DAY = HOUR * 24;
+const MB = 1024 * 1024;
+
+// Per-type freshness. Entries past `ttl` are still kept for `maxStale` so they can be served
+// offline or when every instance fails. With `staleWhileRevalidate` an expired entry is returned
+// right away and refreshed in the background. Provider prefixes (subsonic_, jellyfin_) are ignored
+// and types like search_tracks fall back to their first segment
+const CACHE_POLICIES = {
+    search: { ttl: 10 * MINUTE, staleWhileRevalidate: true },
+    album: { ttl: DAY, staleWhileRevalidate: true },
+    artist: { ttl: 6 * HOUR, staleWhileRevalidate: true },
+    playlist: { ttl: 30 * MINUTE, staleWhileRevalidate: true },
+    mix: { ttl: HOUR, staleWhileRevalidate: true },
+    similar: { ttl: DAY, staleWhileRevalidate: true },
+    song: { ttl: DAY, staleWhileRevalidate: true },
+    credits: { ttl: 7 * DAY, staleWhileRevalidate: true },
+    track_info: { ttl: DAY, staleWhileRevalidate: true },
+    // Stream manifests carry signed URLs that stop working, never serve them past their ttl
+    track: { ttl: 15 * MINUTE, maxStale: 0 },
+};
+
+// Rough size in bytes, JSON is what IndexedDB ends up storing and strings are UTF-16 in memory
+const estimateSize = (data) => {
+    try {
+        return (JSON.stringify(data)?.length || 0) * 2;
+    } catch {
+        return 0;
+    }
+};
+
+// Two tier LRU: a Map in memory (insertion order doubles as recency) and IndexedDB, each
+// bounded by a byte budget. IndexedDB keeps response bodies in `responses` and small
+// { key, type, size, timestamp, accessedAt } records in `entries`, so eviction and the
+// inspector never have to load the bodies
 export class APICache {
     constructor(options = {}) {
         this.memoryCache = new Map();
-        this.maxSize = options.maxSize || 200;
+        this.memoryBytes = 0;
+        this.memoryBudget = options.memoryBudget || 8 * MB;
+        this.diskBudget = options.diskBudget || 50 * MB;
+        // Summed from the entries store on first use
+        this.diskBytes = null;
+        this.inFlight = new Map();
         this.ttl = options.ttl || 1000 * 60 * 30;
+        this.maxStale = options.maxStale ?? 7 * DAY;
+        this.counters = { hits: 0, staleHits: 0, misses: 0, memoryEvictions: 0, diskEvictions: 0 };
         this.dbName = 'monochrome-cache';
-        this.dbVersion = 1;
+        this.dbVersion = 2;
         this.db = null;
         this.initDB();
     }
@@ -25,69 +68,263 @@ export class APICache {
             request.onupgradeneeded = (event) => {
                 const db = event.target.result;
 
+                // v1 responses carry no size, it's only a cache so start over rather than guess
+                if (event.oldVersion < 2 && db.objectStoreNames.contains('responses')) {
+                    db.deleteObjectStore('responses');
+                }
+
                 if (!db.objectStoreNames.contains('responses')) {
-                    const store = db.createObjectStore('responses', { keyPath: 'key' });
+                    db.createObjectStore('responses', { keyPath: 'key' });
+                }
+
+                if (!db.objectStoreNames.contains('entries')) {
+                    const store = db.createObjectStore('entries', { keyPath: 'key' });
+                    store.createIndex('type', 'type', { unique: false });
                     store.createIndex('timestamp', 'timestamp', { unique: false });
+                    store.createIndex('accessedAt', 'accessedAt', { unique: false });
                 }
             };
         });
     }
 
+    getPolicy(type) {
+        const name = type.replace(/^(subsonic|jellyfin)_/, '');
+        const policy = CACHE_POLICIES[name] || CACHE_POLICIES[name.split('_')[0]] || {};
+        return {
+            ttl: policy.ttl ?? this.ttl,
+            maxStale: policy.maxStale ?? this.maxStale,
+            staleWhileRevalidate: policy.staleWhileRevalidate ?? false,
+        };
+    }
+
+    // Keys are `${type}:${params}`, types never contain a colon
+    getTypeFromKey(key) {
+        return key.slice(0, key.indexOf(':'));
+    }
+
     generateKey(type, params) {
         const paramString = typeof params === 'object' ? JSON.stringify(params) : String(params);
         return `${type}:${paramString}`;
     }
 
-    async get(type, params) {
+    // Identical concurrent requests share a single in-flight promise. The loader gets its own
+    // AbortSignal which only fires once every caller that passed a signal has aborted
+    dedupe(type, params, loader, signal) {
         const key = this.generateKey(type, params);
+        let entry = this.inFlight.get(key);
+
+        if (!entry) {
+            const controller = new AbortController();
+            entry = { controller, refs: 0, promise: null };
+            entry.promise = Promise.resolve()
+                .then(() => loader(controller.signal))
+                .finally(() => {
+                    if (this.inFlight.get(key) === entry) this.inFlight.delete(key);
+                });
+            // Every caller handles the outcome on its own, avoid unhandled rejections once all of them left
+            entry.promise.catch(() => {});
+            this.inFlight.set(key, entry);
+        }
+
+        entry.refs++;
+
+        // Callers without a signal can never cancel, so their reference is held until the request settles
+        if (!signal) return entry.promise;
+
+        return new Promise((resolve, reject) => {
+            let released = false;
+
+            const release = () => {
+                if (released) return;
+                released = true;
+                signal.removeEventListener('abort', onAbort);
+                entry.refs--;
+            };
+
+            const onAbort = () => {
+                release();
+                if (entry.refs === 0) {
+                    if (this.inFlight.get(key) === entry) this.inFlight.delete(key);
+                    entry.controller.abort();
+                }
+                reject(new DOMException('The operation was aborted.', 'AbortError'));
+            };
 
-        if (this.memoryCache.has(key)) {
-            const cached = this.memoryCache.get(key);
-            if (Date.now() - cached.timestamp < this.ttl) {
-                return cached.data;
+            if (signal.aborted) {
+                onAbort();
+                return;
             }
-            this.memoryCache.delete(key);
+
+            signal.addEventListener('abort', onAbort, { once: true });
+            entry.promise.then(
+                (data) => {
+                    release();
+                    resolve(data);
+                },
+                (error) => {
+                    release();
+                    reject(error);
+                }
+            );
+        });
+    }
+
+    // Resolves to { data, timestamp, stale } or null once the entry is past its ttl and maxStale
+    async lookup(type, params) {
+        const key = this.generateKey(type, params);
+        const { ttl, maxStale } = this.getPolicy(type);
+        const describe = (entry) => {
+            const age = Date.now() - entry.timestamp;
+            return age < ttl + maxStale ? { data: entry.data, timestamp: entry.timestamp, stale: age >= ttl } : null;
+        };
+
+        const hit = (entry, cached) => {
+            // Re-inserting moves the entry to the most recently used end
+            this.remember(entry);
+            this.touch(entry);
+            this.counters[cached.stale ? 'staleHits' : 'hits']++;
+            return cached;
+        };
+
+        const memoryEntry = this.memoryCache.get(key);
+        if (memoryEntry) {
+            const cached = describe(memoryEntry);
+            if (cached) return hit(memoryEntry, cached);
+            this.forget(key);
         }
 
         if (this.db) {
             try {
-                const cached = await this.getFromIndexedDB(key);
-                if (cached && Date.now() - cached.timestamp < this.ttl) {
-                    this.memoryCache.set(key, cached);
-                    return cached.data;
-                }
+                const entry = await this.getFromIndexedDB(key);
+                const cached = entry && describe(entry);
+                if (cached) return hit(entry, cached);
             } catch (error) {
                 console.log('IndexedDB read error:', error);
             }
         }
 
+        this.counters.misses++;
         return null;
     }
 
-    async set(type, params, data) {
-        const key = this.generateKey(type, params);
-        const entry = {
-            key,
-            data,
-            timestamp: Date.now(),
-        };
+    async get(type, params) {
+        const cached = await this.lookup(type, params);
+        return cached && !cached.stale ? cached.data : null;
+    }
+
+    // Cache lookup, in-flight coalescing and stale fallback around a single loader. Expired data is
+    // returned when offline or when the loader fails, `api-cache-stale` lets the UI mark it as cached.
+    // The event carries the route the data was requested from, a refresh can fail after navigating away
+    async cached(type, params, loader, signal) {
+        const route = typeof window !== 'undefined' ? window.location.hash : null;
+        const cached = await this.lookup(type, params);
+        if (cached && !cached.stale) return cached.data;
 
-        this.memoryCache.set(key, entry);
+        const load = (callerSignal) =>
+            this.dedupe(
+                type,
+                params,
+                async (sharedSignal) => {
+                    const data = await loader(sharedSignal);
+                    await this.set(type, params, data);
+                    return data;
+                },
+                callerSignal
+            );
 
-        if (this.memoryCache.size > this.maxSize) {
-            const firstKey = this.memoryCache.keys().next().value;
-            this.memoryCache.delete(firstKey);
+        if (cached && typeof navigator !== 'undefined' && navigator.onLine === false) {
+            this.notifyStale(type, params, cached, 'offline', route);
+            return cached.data;
         }
 
+        if (cached && this.getPolicy(type).staleWhileRevalidate) {
+            // The caller already has its data, so the refresh doesn't take its signal
+            load().catch((error) => {
+                console.warn(`[Cache] Failed to revalidate ${type}:`, error);
+                this.notifyStale(type, params, cached, 'error', route);
+            });
+            return cached.data;
+        }
+
+        try {
+            return await load(signal);
+        } catch (error) {
+            if (!cached || error.name === 'AbortError') throw error;
+            console.warn(`[Cache] Serving expired ${type} after a failed request:`, error);
+            this.notifyStale(type, params, cached, 'error', route);
+            return cached.data;
+        }
+    }
+
+    notifyStale(type, params, cached, reason, route) {
+        if (typeof window === 'undefined') return;
+        const key = this.generateKey(type, params);
+        window.dispatchEvent(
+            new CustomEvent('api-cache-stale', {
+                detail: { type, params, key, route, cachedAt: cached.timestamp, reason },
+            })
+        );
+    }
+
+    async set(type, params, data) {
+        const key = this.generateKey(type, params);
+        const timestamp = Date.now();
+        const entry = { key, data, timestamp, size: estimateSize(data), accessedAt: timestamp };
+
+        this.remember(entry);
+
         if (this.db) {
             try {
-                await this.setInIndexedDB(entry);
+                await this.setInIndexedDB(entry, type);
+                await this.enforceDiskBudget();
             } catch (error) {
                 console.log('IndexedDB write error:', error);
             }
         }
     }
 
+    remember(entry) {
+        this.forget(entry.key);
+        // An entry bigger than the whole budget would only flush everything else
+        if (entry.size > this.memoryBudget) return;
+
+        this.memoryCache.set(entry.key, entry);
+        this.memoryBytes += entry.size;
+        this.enforceMemoryBudget();
+    }
+
+    enforceMemoryBudget() {
+        while (this.memoryBytes > this.memoryBudget) {
+            const [oldestKey] = this.memoryCache.keys();
+            this.forget(oldestKey);
+            this.counters.memoryEvictions++;
+        }
+    }
+
+    forget(key) {
+        const entry = this.memoryCache.get(key);
+        if (!entry) return;
+        this.memoryCache.delete(key);
+        this.memoryBytes -= entry.size;
+    }
+
+    // Disk recency only has to be roughly right, hits update it at most once a minute
+    touch(entry) {
+        const now = Date.now();
+        if (!this.db || now - (entry.accessedAt || 0) < MINUTE) return;
+        entry.accessedAt = now;
+
+        try {
+            const store = this.db.transaction(['entries'], 'readwrite').objectStore('entries');
+            const request = store.get(entry.key);
+            request.onsuccess = () => {
+                if (request.result) store.put({ ...request.result, accessedAt: now });
+            };
+        } catch (error) {
+            console.log('IndexedDB write error:', error);
+        }
+    }
+
     getFromIndexedDB(key) {
         return new Promise((resolve, reject) => {
             if (!this.db) {
@@ -104,75 +341,202 @@ export class APICache {
         });
     }
 
-    setInIndexedDB(entry) {
+    setInIndexedDB(entry, type) {
         return new Promise((resolve, reject) => {
             if (!this.db) {
                 resolve();
                 return;
             }
 
-            const transaction = this.db.transaction(['responses'], 'readwrite');
-            const store = transaction.objectStore('responses');
-            const request = store.put(entry);
+            const { key, data, timestamp, size } = entry;
+            const transaction = this.db.transaction(['responses', 'entries'], 'readwrite');
+            const entries = transaction.objectStore('entries');
+
+            const previous = entries.get(key);
+            previous.onsuccess = () => {
+                if (this.diskBytes !== null) {
+                    this.diskBytes += size - (previous.result?.size || 0);
+                }
+            };
+
+            transaction.objectStore('responses').put({ key, data, timestamp, size });
+            entries.put({ key, type, size, timestamp, accessedAt: timestamp });
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    getAllEntries() {
+        return new Promise((resolve, reject) => {
+            if (!this.db) {
+                resolve([]);
+                return;
+            }
 
-            request.onsuccess = () => resolve();
+            const request = this.db.transaction(['entries'], 'readonly').objectStore('entries').getAll();
+            request.onsuccess = () => resolve(request.result || []);
             request.onerror = () => reject(request.error);
         });
     }
 
+    async getDiskBytes() {
+        if (this.diskBytes === null) {
+            const entries = await this.getAllEntries();
+            this.diskBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+        }
+        return this.diskBytes;
+    }
+
+    // Deletes from IndexedDB every entry a cursor over `entries` accepts
+    deleteFromIndexedDB(openCursor, accept = () => true) {
+        return new Promise((resolve, reject) => {
+            if (!this.db) {
+                resolve(0);
+                return;
+            }
+
+            let deleted = 0;
+            const transaction = this.db.transaction(['responses', 'entries'], 'readwrite');
+            const responses = transaction.objectStore('responses');
+            const request = openCursor(transaction.objectStore('entries'));
+
+            request.onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return;
+
+                const verdict = accept(cursor.value);
+                if (verdict === null) return;
+                if (verdict) {
+                    responses.delete(cursor.primaryKey);
+                    cursor.delete();
+                    if (this.diskBytes !== null) this.diskBytes -= cursor.value.size;
+                    deleted++;
+                }
+                cursor.continue();
+            };
+
+            transaction.oncomplete = () => resolve(deleted);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    // Drops least recently used entries until IndexedDB fits the budget again
+    async enforceDiskBudget() {
+        if ((await this.getDiskBytes()) <= this.diskBudget) return;
+
+        const evicted = await this.deleteFromIndexedDB(
+            (store) => store.index('accessedAt').openCursor(),
+            // null stops the cursor
+            () => (this.diskBytes > this.diskBudget ? true : null)
+        );
+        this.counters.diskEvictions += evicted;
+    }
+
+    async setBudgets({ memoryBudget, diskBudget }) {
+        if (memoryBudget) {
+            this.memoryBudget = memoryBudget;
+            this.enforceMemoryBudget();
+        }
+        if (diskBudget) {
+            this.diskBudget = diskBudget;
+            if (this.db) await this.enforceDiskBudget();
+        }
+    }
+
+    // Purges one entry type, e.g. `album` or `search_tracks`, from both tiers
+    async purgeType(type) {
+        const prefix = `${type}:`;
+        [...this.memoryCache.keys()].filter((key) => key.startsWith(prefix)).forEach((key) => this.forget(key));
+        await this.deleteFromIndexedDB((store) => store.index('type').openCursor(IDBKeyRange.only(type)));
+    }
+
     async clear() {
         this.memoryCache.clear();
+        this.memoryBytes = 0;
+        this.inFlight.clear();
 
         if (this.db) {
             return new Promise((resolve, reject) => {
-                const transaction = this.db.transaction(['responses'], 'readwrite');
-                const store = transaction.objectStore('responses');
-                const request = store.clear();
+                const transaction = this.db.transaction(['responses', 'entries'], 'readwrite');
+                transaction.objectStore('responses').clear();
+                transaction.objectStore('entries').clear();
 
-                request.onsuccess = () => resolve();
-                request.onerror = () => reject(request.error);
+                transaction.oncomplete = () => {
+                    this.diskBytes = 0;
+                    resolve();
+                };
+                transaction.onerror = () => reject(transaction.error);
             });
         }
     }
 
+    // Drops entries that can no longer be served, not even as a stale fallback
     async clearExpired() {
         const now = Date.now();
-        const expired = [];
-
-        for (const [key, entry] of this.memoryCache.entries()) {
-            if (now - entry.timestamp >= this.ttl) {
-                expired.push(key);
-            }
-        }
+        const isDead = (entry) => {
+            const { ttl, maxStale } = this.getPolicy(this.getTypeFromKey(entry.key));
+            return now - entry.timestamp >= ttl + maxStale;
+        };
 
-        expired.forEach((key) => this.memoryCache.delete(key));
+        [...this.memoryCache.values()].filter(isDead).forEach((entry) => this.forget(entry.key));
 
         if (this.db) {
             try {
-                const transaction = this.db.transaction(['responses'], 'readwrite');
-                const store = transaction.objectStore('responses');
-                const index = store.index('timestamp');
-                const range = IDBKeyRange.upperBound(now - this.ttl);
-                const request = index.openCursor(range);
-
-                request.onsuccess = (event) => {
-                    const cursor = event.target.result;
-                    if (cursor) {
-                        cursor.delete();
-                        cursor.continue();
-                    }
-                };
+                // Nothing younger than the shortest ttl can be dead
+                const minTtl = Math.min(this.ttl, ...Object.values(CACHE_POLICIES).map((p) => p.ttl));
+                await this.deleteFromIndexedDB(
+                    (store) => store.index('timestamp').openCursor(IDBKeyRange.upperBound(now - minTtl)),
+                    isDead
+                );
             } catch (error) {
                 console.log('Failed to clear expired IndexedDB entries:', error);
             }
         }
     }
 
+    // Entry counts and sizes per type for both tiers, largest first
+    async getUsageByType() {
+        const usage = new Map();
+        const row = (type) => {
+            if (!usage.has(type)) {
+                usage.set(type, { type, memoryEntries: 0, memoryBytes: 0, diskEntries: 0, diskBytes: 0 });
+            }
+            return usage.get(type);
+        };
+
+        for (const entry of this.memoryCache.values()) {
+            const stats = row(this.getTypeFromKey(entry.key));
+            stats.memoryEntries++;
+            stats.memoryBytes += entry.size;
+        }
+
+        try {
+            const entries = await this.getAllEntries();
+            this.diskBytes = 0;
+            for (const entry of entries) {
+                const stats = row(entry.type);
+                stats.diskEntries++;
+                stats.diskBytes += entry.size;
+                this.diskBytes += entry.size;
+            }
+        } catch (error) {
+            console.log('IndexedDB read error:', error);
+        }
+
+        return [...usage.values()].sort((a, b) => b.memoryBytes + b.diskBytes - (a.memoryBytes + a.diskBytes));
+    }
+
     getCacheStats() {
         return {
             memoryEntries: this.memoryCache.size,
-            maxSize: this.maxSize,
+            memoryBytes: this.memoryBytes,
+            memoryBudget: this.memoryBudget,
+            diskBytes: this.diskBytes,
+            diskBudget: this.diskBudget,
             ttl: this.ttl,
+            maxStale: this.maxStale,
+            ...this.counters,
         };
     }
 }
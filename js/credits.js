@@ -0,0 +1,112 @@
+//js/credits.js
+// Side panel listing who made a track, grouped from the provider's raw credit roles
+import { sidePanelManager } from './side-panel.js';
+import { SVG_CLOSE, createPlaceholder, escapeHtml, getTrackTitle, getTrackArtists } from './utils.js';
+
+// First matching group wins, so 'Mixing Engineer' lands in Engineers and 'Composer & Lyricist' in Composers
+const CREDIT_GROUPS = [
+    { label: 'Artists', pattern: /^(main )?artist$/i },
+    { label: 'Featured Performers', pattern: /featur/i },
+    { label: 'Producers', pattern: /produc/i },
+    { label: 'Composers', pattern: /compos|writer|arrang/i },
+    { label: 'Lyricists', pattern: /lyric/i },
+    { label: 'Engineers', pattern: /engineer|mix|master/i },
+];
+
+// Turns raw [{ role, contributors }] into [{ label, contributors: [{ name, id, roles }] }] with
+// every name listed once per group
+export function groupCredits(credits) {
+    const groups = new Map();
+
+    for (const { role, contributors } of credits) {
+        const label = CREDIT_GROUPS.find((group) => group.pattern.test(role))?.label || 'Other';
+        if (!groups.has(label)) groups.set(label, new Map());
+        const people = groups.get(label);
+
+        for (const contributor of contributors) {
+            const key = contributor.name.toLowerCase();
+            const existing = people.get(key);
+            if (existing) {
+                existing.id = existing.id ?? contributor.id;
+                if (!existing.roles.includes(role)) existing.roles.push(role);
+            } else {
+                people.set(key, { ...contributor, roles: [role] });
+            }
+        }
+    }
+
+    return [...CREDIT_GROUPS.map((group) => group.label), 'Other']
+        .filter((label) => groups.has(label))
+        .map((label) => ({ label, contributors: [...groups.get(label).values()] }));
+}
+
+const formatRole = (role) => role.charAt(0).toUpperCase() + role.slice(1).toLowerCase();
+
+// Grouped credits as HTML, names are .credit-name buttons for handleCreditClick
+export function createCreditsHTML(groups) {
+    if (groups.length === 0) return createPlaceholder('No credits available for this track.');
+
+    return groups
+        .map(
+            ({ label, contributors }) => `
+            <section class="credits-group">
+                <h4>${label}</h4>
+                <ul>
+                    ${contributors
+                        .map(
+                            ({ name, id, roles }) => `
+                        <li>
+                            <button class="credit-name" data-name="${escapeHtml(name)}" ${id ? `data-artist-id="${escapeHtml(String(id))}"` : ''} title="${id ? 'Open artist' : 'Search'}">${escapeHtml(name)}</button>
+                            ${label === 'Other' || roles.length > 1 ? `<span class="credit-roles">${escapeHtml(roles.map(formatRole).join(', '))}</span>` : ''}
+                        </li>
+                    `
+                        )
+                        .join('')}
+                </ul>
+            </section>
+        `
+        )
+        .join('');
+}
+
+// Opens the artist page for credited artists, searches for everyone else
+export function handleCreditClick(e) {
+    const button = e.target.closest('.credit-name');
+    if (!button) return;
+    window.location.hash = button.dataset.artistId
+        ? `#artist/${button.dataset.artistId}`
+        : `#search/${encodeURIComponent(button.dataset.name)}`;
+}
+
+export function openCreditsPanel(track, api) {
+    const renderControls = (container) => {
+        container.innerHTML = `
+            <button id="close-side-panel-btn" class="btn-icon" title="Close">
+                ${SVG_CLOSE}
+            </button>
+        `;
+        container.querySelector('#close-side-panel-btn').addEventListener('click', () => sidePanelManager.close());
+    };
+
+    const renderContent = async (container) => {
+        const panel = document.createElement('div');
+        panel.className = 'credits-panel';
+        panel.innerHTML = createPlaceholder('Loading credits...', true);
+        container.appendChild(panel);
+
+        panel.addEventListener('click', handleCreditClick);
+
+        const credits = await api.getCredits(track).catch(() => []);
+        // The panel may have moved on to another track or view while loading
+        if (!panel.isConnected) return;
+        panel.innerHTML = `
+            <div class="credits-track">
+                <span class="credits-track-title">${escapeHtml(getTrackTitle(track))}</span>
+                <span class="credits-track-artist">${escapeHtml(getTrackArtists(track))}</span>
+            </div>
+            ${createCreditsHTML(groupCredits(credits))}
+        `;
+    };
+
+    sidePanelManager.open('credits', 'Credits', renderControls, renderContent, true);
+}
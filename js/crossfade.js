@@ -1,17 +1,21 @@
 //js/crossfade.js
+import { CROSSFADE_CURVES } from './gapless.js';
+
+// Crossfade settings and when they apply. The fade itself runs on the player's output, which
+// overlaps both decks and ramps their GainNodes along the chosen curve
 export class CrossfadeManager {
     constructor(player) {
         this.player = player;
         this.enabled = false;
         this.duration = 5; // Default 5 seconds
-        this.fadeOutStarted = false;
-        this.nextTrackPreloaded = false;
-        this.volumeMultiplier = 1.0; // For crossfade volume control
-        this.currentTrackId = null;
+        this.curve = 'equal-power';
+        this.skipSameAlbum = false;
 
         // Storage keys
         this.ENABLED_KEY = 'crossfade-enabled';
         this.DURATION_KEY = 'crossfade-duration';
+        this.CURVE_KEY = 'crossfade-curve';
+        this.SKIP_SAME_ALBUM_KEY = 'crossfade-skip-same-album';
 
         // Load settings
         this.loadSettings();
@@ -26,6 +30,13 @@ export class CrossfadeManager {
             if (duration) {
                 this.duration = parseInt(duration, 10);
             }
+
+            const curve = localStorage.getItem(this.CURVE_KEY);
+            if (CROSSFADE_CURVES.includes(curve)) {
+                this.curve = curve;
+            }
+
+            this.skipSameAlbum = localStorage.getItem(this.SKIP_SAME_ALBUM_KEY) === 'true';
         } catch (error) {
             console.error('Failed to load crossfade settings:', error);
         }
@@ -35,9 +46,13 @@ export class CrossfadeManager {
         try {
             localStorage.setItem(this.ENABLED_KEY, this.enabled ? 'true' : 'false');
             localStorage.setItem(this.DURATION_KEY, this.duration.toString());
+            localStorage.setItem(this.CURVE_KEY, this.curve);
+            localStorage.setItem(this.SKIP_SAME_ALBUM_KEY, this.skipSameAlbum ? 'true' : 'false');
         } catch (error) {
             console.error('Failed to save crossfade settings:', error);
         }
+        // The upcoming handoff was planned with the old settings
+        this.player.prepareGaplessNext();
     }
 
     isEnabled() {
@@ -46,6 +61,7 @@ export class CrossfadeManager {
 
     setEnabled(enabled) {
         this.enabled = enabled;
+        if (enabled) this.player.audio.getAudioGraph();
         this.saveSettings();
     }
 
@@ -58,108 +74,35 @@ export class CrossfadeManager {
         this.saveSettings();
     }
 
-    init() {
-        // Listen to timeupdate to trigger crossfade
-        this.player.audio.addEventListener('timeupdate', () => {
-            this.handleTimeUpdate();
-        });
-
-        // Reset fade state when track changes
-        this.player.audio.addEventListener('play', () => {
-            const newTrackId = this.player.currentTrack?.id;
-            if (newTrackId !== this.currentTrackId) {
-                this.currentTrackId = newTrackId;
-                this.fadeOutStarted = false;
-                this.nextTrackPreloaded = false;
-            }
-            // Ensure volume multiplier is reset when starting
-            if (!this.fadingIn) {
-                this.volumeMultiplier = 1.0;
-                this.player.applyReplayGain();
-            }
-        });
-
-        this.player.audio.addEventListener('ended', () => {
-            this.fadeOutStarted = false;
-            this.nextTrackPreloaded = false;
-        });
+    getCurve() {
+        return this.curve;
     }
 
-    handleTimeUpdate() {
-        if (!this.enabled || this.fadeOutStarted) return;
-
-        const audio = this.player.audio;
-        const timeRemaining = audio.duration - audio.currentTime;
-
-        // Start crossfade when time remaining equals crossfade duration
-        if (timeRemaining > 0 && timeRemaining <= this.duration && !audio.paused) {
-            this.startCrossfade();
-        }
+    setCurve(curve) {
+        if (!CROSSFADE_CURVES.includes(curve)) return;
+        this.curve = curve;
+        this.saveSettings();
     }
 
-    async startCrossfade() {
-        this.fadeOutStarted = true;
-
-        // Calculate fade out
-        const fadeSteps = 60; // 60 steps for smooth fade
-        const fadeInterval = (this.duration * 1000) / fadeSteps;
-
-        let step = 0;
-        const fadeOutInterval = setInterval(() => {
-            step++;
-            this.volumeMultiplier = Math.max(0, 1.0 - step / fadeSteps);
-            this.player.applyReplayGain();
-
-            if (step >= fadeSteps || this.player.audio.paused || this.player.audio.ended) {
-                clearInterval(fadeOutInterval);
-                // Trigger next track
-                if (!this.player.audio.paused && !this.player.audio.ended) {
-                    this.player.playNext();
-                }
-            }
-        }, fadeInterval);
-
-        // Preload next track if not already done
-        if (!this.nextTrackPreloaded) {
-            await this.player.preloadNextTracks();
-            this.nextTrackPreloaded = true;
-        }
-
-        // Wait for next track to start, then fade in
-        const originalTrackId = this.currentTrackId;
-        const waitForNextTrack = setInterval(() => {
-            if (this.currentTrackId !== originalTrackId) {
-                clearInterval(waitForNextTrack);
-                this.fadeIn();
-            }
-        }, 100);
-
-        // Clear after 10 seconds to avoid memory leak
-        setTimeout(() => clearInterval(waitForNextTrack), 10000);
+    isSkippingSameAlbum() {
+        return this.skipSameAlbum;
     }
 
-    fadeIn() {
-        this.fadingIn = true;
-
-        // Start from 0
-        this.volumeMultiplier = 0;
-        this.player.applyReplayGain();
-
-        const fadeSteps = 30;
-        const fadeInterval = (this.duration * 1000) / fadeSteps;
+    setSkipSameAlbum(skip) {
+        this.skipSameAlbum = skip;
+        this.saveSettings();
+    }
 
-        let step = 0;
-        const fadeInInterval = setInterval(() => {
-            step++;
-            this.volumeMultiplier = Math.min(1.0, step / fadeSteps);
-            this.player.applyReplayGain();
+    init() {
+        // Fading needs the decks routed through Web Audio
+        if (this.enabled) this.player.audio.getAudioGraph();
+    }
 
-            if (step >= fadeSteps || this.player.audio.paused) {
-                clearInterval(fadeInInterval);
-                this.volumeMultiplier = 1.0;
-                this.player.applyReplayGain();
-                this.fadingIn = false;
-            }
-        }, fadeInterval);
+    // Seconds the current track and the next one overlap, 0 plays them back to back. Albums meant
+    // to flow into themselves (live sets, DJ mixes) can be left untouched
+    getFadeDuration(current, next) {
+        if (!this.enabled || !current || !next) return 0;
+        if (this.skipSameAlbum && current.album?.id && current.album.id === next.album?.id) return 0;
+        return this.duration;
     }
 }
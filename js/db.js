@@ -1,8 +1,11 @@
+import { dedupeTracks } from './track-matching.js';
+
 export class MusicDatabase {
     constructor() {
         this.dbName = 'MonochromeDB';
-        this.version = 6;
+        this.version = 8;
         this.db = null;
+        this.SEARCH_HISTORY_LIMIT = 50;
     }
 
     async open() {
@@ -56,6 +59,14 @@ export class MusicDatabase {
                 if (!db.objectStoreNames.contains('settings')) {
                     db.createObjectStore('settings');
                 }
+                if (!db.objectStoreNames.contains('search_history')) {
+                    const store = db.createObjectStore('search_history', { keyPath: 'query' });
+                    store.createIndex('searchedAt', 'searchedAt', { unique: false });
+                }
+                if (!db.objectStoreNames.contains('saved_queues')) {
+                    const store = db.createObjectStore('saved_queues', { keyPath: 'id' });
+                    store.createIndex('updatedAt', 'updatedAt', { unique: false });
+                }
             };
         });
     }
@@ -116,6 +127,73 @@ export class MusicDatabase {
         });
     }
 
+    // Search History API
+    // One entry per query (case-insensitive), repeating a search moves it back to the top
+    async addSearchQuery(query) {
+        const trimmed = query.trim();
+        if (!trimmed) return;
+
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction('search_history', 'readwrite');
+            const store = transaction.objectStore('search_history');
+            const key = trimmed.toLowerCase();
+
+            const getRequest = store.get(key);
+            getRequest.onsuccess = () => {
+                const existing = getRequest.result;
+                store.put({ query: key, text: trimmed, searchedAt: Date.now(), count: (existing?.count || 0) + 1 });
+
+                // Keep the newest entries only
+                const index = store.index('searchedAt');
+                const countRequest = store.count();
+                countRequest.onsuccess = () => {
+                    let excess = countRequest.result - this.SEARCH_HISTORY_LIMIT;
+                    if (excess <= 0) return;
+                    index.openCursor().onsuccess = (event) => {
+                        const cursor = event.target.result;
+                        if (!cursor || excess <= 0) return;
+                        cursor.delete();
+                        excess--;
+                        cursor.continue();
+                    };
+                };
+            };
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = (event) => reject(event.target.error);
+        });
+    }
+
+    async getSearchHistory(limit = 10) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction('search_history', 'readonly');
+            const index = transaction.objectStore('search_history').index('searchedAt');
+            const results = [];
+
+            // Newest first
+            index.openCursor(null, 'prev').onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor || results.length >= limit) {
+                    resolve(results);
+                    return;
+                }
+                results.push(cursor.value);
+                cursor.continue();
+            };
+            transaction.onerror = (event) => reject(event.target.error);
+        });
+    }
+
+    async removeSearchQuery(query) {
+        await this.performTransaction('search_history', 'readwrite', (store) => store.delete(query.toLowerCase()));
+    }
+
+    async clearSearchHistory() {
+        await this.performTransaction('search_history', 'readwrite', (store) => store.clear());
+    }
+
     // Favorites API
     async toggleFavorite(type, item) {
         const plural = type === 'mix' ? 'mixes' : `${type}s`;
@@ -125,13 +203,14 @@ export class MusicDatabase {
 
         if (exists) {
             await this.performTransaction(storeName, 'readwrite', (store) => store.delete(key));
-            return false; // Removed
         } else {
             const minified = this._minifyItem(type, item);
             const entry = { ...minified, addedAt: Date.now() };
             await this.performTransaction(storeName, 'readwrite', (store) => store.put(entry));
-            return true; // Added
         }
+
+        window.dispatchEvent(new CustomEvent('favorites-changed', { detail: { type, id: key, added: !exists } }));
+        return !exists; // true when added, false when removed
     }
 
     async isFavorite(type, id) {
@@ -168,6 +247,11 @@ export class MusicDatabase {
         });
     }
 
+    // The stored form of a track, as playlists and favorites keep it
+    minifyTrack(track) {
+        return this._minifyItem('track', track);
+    }
+
     _minifyItem(type, item) {
         if (!item) return item;
 
@@ -175,6 +259,8 @@ export class MusicDatabase {
         const base = {
             id: item.id,
             addedAt: item.addedAt || null,
+            // Items from self-hosted providers carry their source, catalog items don't
+            ...(item.source ? { source: item.source } : {}),
         };
 
         if (type === 'track') {
@@ -246,6 +332,7 @@ export class MusicDatabase {
                 image: item.image || item.squareImage || item.cover || null,
                 numberOfTracks: item.numberOfTracks || (item.tracks ? item.tracks.length : 0),
                 user: item.user ? { name: item.user.name || null } : null,
+                ...(item.source ? { source: item.source } : {}),
             };
         }
 
@@ -546,6 +633,9 @@ export class MusicDatabase {
         playlist.name = newName;
         playlist.updatedAt = Date.now();
         await this.performTransaction('user_playlists', 'readwrite', (store) => store.put(playlist));
+
+        this._dispatchPlaylistSync('update', playlist);
+
         return playlist;
     }
 
@@ -567,6 +657,7 @@ export class MusicDatabase {
                 this._updatePlaylistMetadata(playlist);
                 const putRequest = store.put(playlist);
                 putRequest.onsuccess = () => {
+                    this._dispatchPlaylistSync('update', playlist);
                     resolve(playlist);
                 };
                 putRequest.onerror = () => {
@@ -583,6 +674,49 @@ export class MusicDatabase {
         });
     }
 
+    // Drops later copies of the same recording (other editions included), keeping the first one.
+    // Resolves to { playlist, removed } with the removed tracks
+    async dedupePlaylist(playlistId) {
+        const playlist = await this.getPlaylist(playlistId);
+        if (!playlist) throw new Error('Playlist not found');
+
+        const { tracks, removed } = dedupeTracks(playlist.tracks || []);
+        if (removed.length === 0) return { playlist, removed };
+
+        return { playlist: await this.updatePlaylistTracks(playlistId, tracks), removed };
+    }
+
+    // Saved queues API
+    async getSavedQueues() {
+        const queues = await this.getAll('saved_queues');
+        return queues.sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    async getSavedQueue(id) {
+        return await this.performTransaction('saved_queues', 'readonly', (store) => store.get(id));
+    }
+
+    // Saving under a name that's taken replaces that queue
+    async saveNamedQueue(name, state) {
+        const existing = (await this.getAll('saved_queues')).find((q) => q.name === name);
+        const entry = { id: existing?.id || crypto.randomUUID(), name, state, updatedAt: Date.now() };
+        await this.performTransaction('saved_queues', 'readwrite', (store) => store.put(entry));
+        return entry;
+    }
+
+    async updateSavedQueue(id, state) {
+        const entry = await this.getSavedQueue(id);
+        if (!entry) return null;
+        entry.state = state;
+        entry.updatedAt = Date.now();
+        await this.performTransaction('saved_queues', 'readwrite', (store) => store.put(entry));
+        return entry;
+    }
+
+    async deleteSavedQueue(id) {
+        await this.performTransaction('saved_queues', 'readwrite', (store) => store.delete(id));
+    }
+
     async saveSetting(key, value) {
         await this.performTransaction('settings', 'readwrite', (store) => store.put(value, key));
     }
@@ -0,0 +1,50 @@
+//js/discography.js
+// Splits an artist's releases into the groups shown on the artist page and offered for download
+
+export const DISCOGRAPHY_GROUPS = [
+    { key: 'albums', label: 'Albums' },
+    { key: 'eps', label: 'EPs & Singles' },
+    { key: 'compilations', label: 'Compilations' },
+    { key: 'live', label: 'Live' },
+    { key: 'appearsOn', label: 'Appears On' },
+];
+
+const COMPILATION_PATTERN = /\b(greatest hits|best of|the essential|essentials|anthology|collection|compilation)\b/i;
+const LIVE_PATTERN = /\b(live|unplugged|in concert)\b/i;
+
+const getTime = (album) => new Date(album.releaseDate || 0).getTime() || 0;
+
+// Whether the artist is the release's main artist rather than a guest or one of many
+const isPrimaryArtist = (album, artistId) => {
+    const mainArtist = album.artist || album.artists?.[0];
+    return !mainArtist || String(mainArtist.id) === String(artistId);
+};
+
+export function getReleaseGroup(album, artistId) {
+    if (!isPrimaryArtist(album, artistId)) return 'appearsOn';
+    if (album.type === 'COMPILATION' || COMPILATION_PATTERN.test(album.title || '')) return 'compilations';
+    if (LIVE_PATTERN.test(album.title || '')) return 'live';
+    if (album.type === 'EP' || album.type === 'SINGLE') return 'eps';
+    return 'albums';
+}
+
+// order is 'date' (newest first) or 'popularity', ties fall back to the other
+export function sortReleases(releases, order = 'date') {
+    const byDate = (a, b) => getTime(b) - getTime(a);
+    const byPopularity = (a, b) => (b.popularity || 0) - (a.popularity || 0);
+    return [...releases].sort((a, b) =>
+        order === 'popularity' ? byPopularity(a, b) || byDate(a, b) : byDate(a, b) || byPopularity(a, b)
+    );
+}
+
+// Returns { albums, eps, compilations, live, appearsOn }, each sorted by order
+export function groupDiscography(releases, artistId, order = 'date') {
+    const groups = Object.fromEntries(DISCOGRAPHY_GROUPS.map(({ key }) => [key, []]));
+    for (const album of releases) {
+        groups[getReleaseGroup(album, artistId)].push(album);
+    }
+    for (const key of Object.keys(groups)) {
+        groups[key] = sortReleases(groups[key], order);
+    }
+    return groups;
+}
@@ -201,16 +201,9 @@ async function downloadTrackBlob(track, quality, api, lyricsManager = null, sign
         }
     }
 
-    const lookup = await api.getTrack(track.id, quality);
-    let streamUrl;
-
-    if (lookup.originalTrackUrl) {
-        streamUrl = lookup.originalTrackUrl;
-    } else {
-        streamUrl = api.extractStreamUrlFromManifest(lookup.info.manifest);
-        if (!streamUrl) {
-            throw new Error('Could not resolve stream URL');
-        }
+    const { streamUrl } = await api.getStreamInfo(track.id, quality, track.source);
+    if (!streamUrl) {
+        throw new Error('Could not resolve stream URL');
     }
 
     // Handle DASH streams (blob URLs)
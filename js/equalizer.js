@@ -2,10 +2,10 @@
 // Audio Equalizer Implementation
 
 export class AudioEqualizer {
-    constructor(audioElement) {
-        this.audioElement = audioElement;
+    // Takes the player's output, whose audio graph the filters are inserted into
+    constructor(output) {
+        this.output = output;
         this.audioContext = null;
-        this.sourceNode = null;
         this.gainNode = null;
         this.filters = [];
         this.isEnabled = false;
@@ -32,12 +32,9 @@ export class AudioEqualizer {
         if (this.isInitialized) return;
 
         try {
-            // Create audio context
-            const AudioContext = window.AudioContext || window.webkitAudioContext;
-            this.audioContext = new AudioContext();
-
-            // Create source node from audio element
-            this.sourceNode = this.audioContext.createMediaElementSource(this.audioElement);
+            // Share the output's audio context, both decks already feed it
+            const graph = this.output.getAudioGraph();
+            this.audioContext = graph.context;
 
             // Create gain node for overall volume
             this.gainNode = this.audioContext.createGain();
@@ -52,15 +49,13 @@ export class AudioEqualizer {
                 this.filters[index] = filter;
             });
 
-            // Connect nodes: source -> filters -> gain -> destination
-            this.sourceNode.connect(this.filters[0]);
-
+            // Connect nodes: decks -> filters -> gain -> rest of the output
             for (let i = 0; i < this.filters.length - 1; i++) {
                 this.filters[i].connect(this.filters[i + 1]);
             }
 
             this.filters[this.filters.length - 1].connect(this.gainNode);
-            this.gainNode.connect(this.audioContext.destination);
+            graph.insert(this.filters[0], this.gainNode);
 
             this.isInitialized = true;
             console.log('✓ Equalizer initialized');
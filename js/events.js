@@ -8,6 +8,11 @@ import {
     trackDataStore,
     formatTime,
     SVG_BIN,
+    createPlaceholder,
+    createQualityBadgeHTML,
+    escapeHtml,
+    getTrackTitle,
+    getTrackArtists,
 } from './utils.js';
 import { lastFMStorage, waveformSettings } from './storage.js';
 import { showNotification, downloadTrackWithMetadata } from './downloads.js';
@@ -16,6 +21,8 @@ import { updateTabTitle } from './router.js';
 import { db } from './db.js';
 import { syncManager } from './accounts/pocketbase.js';
 import { waveformGenerator } from './waveform.js';
+import { normalizeTrackTitle, findOtherVersions } from './track-matching.js';
+import { openCreditsPanel } from './credits.js';
 
 let currentTrackIdForWaveform = null;
 
@@ -122,8 +129,8 @@ export function initializePlayerEvents(player, audioPlayer, scrobbler, ui) {
     nextBtn.addEventListener('click', () => player.playNext());
     prevBtn.addEventListener('click', () => player.playPrev());
 
-    shuffleBtn.addEventListener('click', () => {
-        player.toggleShuffle();
+    shuffleBtn.addEventListener('click', async () => {
+        await player.toggleShuffle();
         shuffleBtn.classList.toggle('active', player.shuffleActive);
         if (window.renderQueueFunction) window.renderQueueFunction();
     });
@@ -196,7 +203,11 @@ export function initializePlayerEvents(player, audioPlayer, scrobbler, ui) {
             progressBar.style.maskImage = '';
 
             try {
-                const streamUrl = await player.api.getStreamUrl(player.currentTrack.id, 'LOW');
+                const streamUrl = await player.api.getStreamUrl(
+                    player.currentTrack.id,
+                    'LOW',
+                    player.currentTrack.source
+                );
                 const waveformData = await waveformGenerator.getWaveform(streamUrl, player.currentTrack.id);
 
                 if (waveformData && currentTrackIdForWaveform === player.currentTrack.id) {
@@ -760,11 +771,17 @@ export async function handleTrackAction(
         list.addEventListener('click', handleOptionClick);
 
         modal.classList.add('active');
+    } else if (action === 'other-versions') {
+        await showOtherVersions(item, player, api);
+    } else if (action === 'credits') {
+        openCreditsPanel(item, api);
     } else if (action === 'go-to-artist') {
         const artistId = item.artist?.id || item.artists?.[0]?.id;
         if (artistId) {
             window.location.hash = `#artist/${artistId}`;
         }
+    } else if (action === 'go-to-track') {
+        window.location.hash = `#track/${item.id}`;
     } else if (action === 'go-to-album') {
         if (item.album?.id) {
             window.location.hash = `#album/${item.album.id}`;
@@ -772,6 +789,110 @@ export async function handleTrackAction(
     }
 }
 
+// Same recording on other albums (remasters, deluxe editions, compilations), looked up in the
+// library, history and a search for the title
+async function showOtherVersions(track, player, api) {
+    const modal = document.getElementById('versions-modal');
+    const list = document.getElementById('versions-list');
+    const subtitle = document.getElementById('versions-modal-subtitle');
+    const closeBtn = document.getElementById('versions-close');
+    const overlay = modal.querySelector('.modal-overlay');
+
+    subtitle.textContent = `${getTrackTitle(track)} • ${getTrackArtists(track)}`;
+    list.innerHTML = createPlaceholder('Looking for other versions...', true);
+    modal.dataset.trackId = track.id;
+    modal.classList.add('active');
+
+    let versions = null;
+
+    const closeModal = () => {
+        modal.classList.remove('active');
+        cleanup();
+    };
+
+    const handleClick = (e) => {
+        const option = e.target.closest('.version-option');
+        if (!option || !versions) return;
+        const version = versions[Number(option.dataset.index)];
+
+        if (e.target.closest('.version-album-btn')) {
+            window.location.hash = `#album/${version.album.id}`;
+        } else if (version.isUnavailable) {
+            showNotification('This track is unavailable.');
+            return;
+        } else {
+            player.setQueue([version], 0);
+            player.playTrackFromQueue();
+        }
+        closeModal();
+    };
+
+    const cleanup = () => {
+        closeBtn.removeEventListener('click', closeModal);
+        overlay.removeEventListener('click', closeModal);
+        list.removeEventListener('click', handleClick);
+    };
+
+    closeBtn.addEventListener('click', closeModal);
+    overlay.addEventListener('click', closeModal);
+    list.addEventListener('click', handleClick);
+
+    const sources = new Map();
+    const addToPool = (tracks, label) => {
+        for (const t of tracks || []) {
+            if (t?.id && !sources.has(t.id)) sources.set(t.id, { track: t, label });
+        }
+    };
+
+    const artist = track.artist?.name || track.artists?.[0]?.name || '';
+    const [favorites, playlists, history, results] = await Promise.all([
+        db.getFavorites('track').catch(() => []),
+        db.getPlaylists(true).catch(() => []),
+        db.getHistory().catch(() => []),
+        api
+            .search(`${normalizeTrackTitle(track.title || '')} ${artist}`.trim(), 'tracks')
+            .then((page) => page.items)
+            .catch(() => []),
+    ]);
+    addToPool(favorites, 'Liked');
+    playlists.forEach((playlist) => addToPool(playlist.tracks, playlist.name));
+    addToPool(history, 'Recently played');
+    addToPool(results, null);
+
+    // The modal may have been closed, or reopened for another track, while searching
+    if (!modal.classList.contains('active') || modal.dataset.trackId !== String(track.id)) return;
+
+    versions = findOtherVersions(
+        track,
+        [...sources.values()].map((entry) => entry.track)
+    );
+    if (versions.length === 0) {
+        list.innerHTML = createPlaceholder('No other versions found.');
+    } else {
+        list.innerHTML = versions
+            .map((version, index) => {
+                const { label } = sources.get(version.id);
+                const album = version.album?.title || 'Unknown Album';
+                const date = version.album?.releaseDate || version.streamStartDate;
+                const year = date ? new Date(date).getFullYear() : null;
+                const details = [album, isNaN(year) ? null : year, formatTime(version.duration || 0), label]
+                    .filter(Boolean)
+                    .map(escapeHtml)
+                    .join(' • ');
+                return `
+                    <div class="modal-option version-option${version.isUnavailable ? ' unavailable' : ''}" data-index="${index}">
+                        <div class="version-info">
+                            <span class="version-title">${escapeHtml(getTrackTitle(version))} ${createQualityBadgeHTML(version)}</span>
+                            <span class="version-details">${details}</span>
+                        </div>
+                        ${version.album?.id ? '<button class="btn-secondary version-album-btn">Album</button>' : ''}
+                    </div>
+                `;
+            })
+            .join('');
+    }
+}
+
 async function updateContextMenuLikeState(contextMenu, contextTrack) {
     if (!contextMenu || !contextTrack) return;
 
@@ -805,10 +926,12 @@ export function initializeTrackInteractions(player, api, mainContent, contextMen
 
             // If no item from element (e.g. header buttons), try to get from hash
             if (!item && action === 'toggle-like') {
-                const id = window.location.hash.split('/')[1];
+                const id = window.location.hash.split('/')[1]?.split('?')[0];
                 if (id) {
                     try {
-                        if (type === 'album') {
+                        if (type === 'track') {
+                            item = await api.getTrackMetadata(id);
+                        } else if (type === 'album') {
                             const data = await api.getAlbum(id);
                             item = data.album;
                         } else if (type === 'artist') {
@@ -0,0 +1,510 @@
+//js/gapless.js
+import { MediaPlayer } from 'dashjs';
+
+// Events the rest of the app listens for. Only the active element's are passed on, so preloading
+// the standby element or retiring the previous one stays invisible
+const MEDIA_EVENTS = [
+    'loadstart',
+    'progress',
+    'suspend',
+    'abort',
+    'error',
+    'emptied',
+    'stalled',
+    'loadedmetadata',
+    'loadeddata',
+    'canplay',
+    'canplaythrough',
+    'playing',
+    'waiting',
+    'seeking',
+    'seeked',
+    'ended',
+    'durationchange',
+    'timeupdate',
+    'play',
+    'pause',
+    'ratechange',
+    'volumechange',
+];
+
+// Replayed when the standby element takes over, it loaded while its events were hidden
+const HANDOFF_EVENTS = ['loadstart', 'durationchange', 'loadedmetadata', 'loadeddata', 'canplay'];
+
+// timeupdate only fires every ~250ms, the last stretch before the boundary is timed on the audio clock
+const ARM_WINDOW = 2;
+// How late the fallback timer may fire after the audio clock should have
+const CLOCK_FALLBACK_SLACK = 0.25;
+// Starting an element that is already buffered takes a few milliseconds, refined after every handoff
+const INITIAL_START_LATENCY = 0.02;
+const CURVE_POINTS = 256;
+
+// Gain of the outgoing and incoming deck at t (0 to 1) through a crossfade
+const FADE_CURVES = {
+    // Constant power, so the overlap doesn't dip in loudness
+    'equal-power': (t) => [Math.cos((t * Math.PI) / 2), Math.sin((t * Math.PI) / 2)],
+    linear: (t) => [1 - t, t],
+    's-curve': (t) => {
+        const s = 0.5 - 0.5 * Math.cos(Math.PI * t);
+        return [1 - s, s];
+    },
+};
+
+export const CROSSFADE_CURVES = Object.keys(FADE_CURVES);
+
+const buildFadeCurves = (curve) => {
+    const shape = FADE_CURVES[curve] || FADE_CURVES['equal-power'];
+    const fadeOut = new Float32Array(CURVE_POINTS);
+    const fadeIn = new Float32Array(CURVE_POINTS);
+    for (let i = 0; i < CURVE_POINTS; i++) {
+        [fadeOut[i], fadeIn[i]] = shape(i / (CURVE_POINTS - 1));
+    }
+    return { fadeOut, fadeIn };
+};
+
+// One audio element plus the dash.js player that feeds it DASH manifests. Once the audio graph
+// exists the deck also has its own GainNode for crossfading. onRelease is called with each URL the
+// deck stops playing
+class Deck {
+    constructor(element, onRelease) {
+        this.element = element;
+        this.onRelease = onRelease;
+        this.url = null;
+        this.dash = null;
+        this.dashAttached = false;
+        this.gain = null;
+        this.replayGain = null;
+    }
+
+    resetGain() {
+        if (!this.gain) return;
+        this.gain.gain.cancelScheduledValues(0);
+        this.gain.gain.setValueAtTime(1, this.gain.context.currentTime);
+    }
+
+    release() {
+        const { url } = this;
+        this.url = null;
+        if (url) this.onRelease(url);
+    }
+
+    load(url, { dash = false, autoplay = true, startTime = 0 } = {}) {
+        if (this.url !== url) this.release();
+        this.url = url;
+        if (!dash) {
+            this.resetDash();
+            this.element.src = url;
+            if (startTime > 0) this.element.currentTime = startTime;
+            return;
+        }
+
+        if (!this.dash) {
+            this.dash = MediaPlayer().create();
+            this.dash.updateSettings({
+                streaming: {
+                    buffer: {
+                        fastSwitchEnabled: true,
+                    },
+                },
+            });
+        }
+
+        if (this.dashAttached) {
+            this.dash.setAutoPlay(autoplay);
+            this.dash.attachSource(url);
+        } else {
+            this.dash.initialize(this.element, url, autoplay);
+            this.dashAttached = true;
+        }
+        if (startTime > 0) this.dash.seek(startTime);
+    }
+
+    resetDash() {
+        if (this.dashAttached) {
+            this.dash.reset();
+            this.dashAttached = false;
+        }
+    }
+
+    // Web Audio only hears cross-origin streams that were loaded with CORS. Until the graph is built
+    // elements load without it, so hosts that don't send CORS headers still play. A plain stream
+    // that is already loaded is loaded again from where it was
+    enableCors() {
+        const { element } = this;
+        if (element.crossOrigin === 'anonymous') return;
+        element.crossOrigin = 'anonymous';
+        // DASH plays from a same-origin blob, dash.js fetches the segments itself
+        if (this.dashAttached || !element.src || element.src.startsWith('blob:')) return;
+
+        const { currentTime, paused } = element;
+        element.load();
+        if (currentTime > 0) element.currentTime = currentTime;
+        if (!paused) element.play().catch(() => {});
+    }
+
+    unload() {
+        this.element.pause();
+        this.resetDash();
+        this.element.removeAttribute('src');
+        this.element.load();
+        this.release();
+    }
+}
+
+// Two audio elements behind the interface of one. The active element plays the current track
+// while the standby one buffers the next; the standby is started just before the active one runs
+// out (early by the measured start latency, or by the crossfade length) and the two swap roles.
+// Handoffs and fades are timed on an AudioContext's clock, timers are throttled in hidden tabs.
+// Listeners attach to this object rather than an element, so they keep working across swaps.
+// Dispatches 'gapless-transition' with the prepared item's meta right before the swap, so the
+// owner can move its queue along before the new track's play events arrive, and 'stream-released'
+// with a URL neither element holds anymore, so blob URLs can be revoked
+export class GaplessOutput extends EventTarget {
+    constructor(element) {
+        super();
+        const standby = document.createElement('audio');
+        standby.preload = 'auto';
+
+        const onRelease = (url) => {
+            if (!this.isLoaded(url)) this.dispatchEvent(new CustomEvent('stream-released', { detail: url }));
+        };
+        this.active = new Deck(element, onRelease);
+        this.standby = new Deck(standby, onRelease);
+        this.next = null;
+        this.cancelTimer = null;
+        this.retiring = null;
+        this.finishHandoff = null;
+        this.graph = null;
+        this.clock = null;
+        this.startLatency = INITIAL_START_LATENCY;
+
+        for (const deck of this.decks) {
+            for (const type of MEDIA_EVENTS) {
+                deck.element.addEventListener(type, (e) => {
+                    if (deck === this.active) this.dispatchEvent(new Event(e.type));
+                });
+            }
+        }
+
+        this.addEventListener('timeupdate', () => this.schedule());
+        this.addEventListener('seeked', () => this.schedule());
+        this.addEventListener('ratechange', () => this.schedule());
+        this.addEventListener('play', () => {
+            // Contexts created before any user gesture start out suspended
+            if (this.graph?.context.state === 'suspended') this.graph.context.resume();
+            if (this.clock?.state === 'suspended') this.clock.resume().catch(() => {});
+            this.schedule();
+        });
+        this.addEventListener('pause', () => this.clearSchedule());
+    }
+
+    get decks() {
+        return [this.active, this.standby];
+    }
+
+    get elements() {
+        return this.decks.map((deck) => deck.element);
+    }
+
+    isLoaded(url) {
+        return this.decks.some((deck) => deck.url === url);
+    }
+
+    // Routes both elements through Web Audio: element -> deck gain -> mix -> effects -> analyser ->
+    // destination. Built on first use and shared, an element can only ever feed one graph
+    getAudioGraph() {
+        if (this.graph) return this.graph;
+
+        const AudioContext = window.AudioContext || window.webkitAudioContext;
+        const context = new AudioContext();
+        // The graph's context takes over timing
+        this.clock?.close().catch(() => {});
+        this.clock = null;
+        const mix = context.createGain();
+        const analyser = context.createAnalyser();
+        for (const deck of this.decks) {
+            deck.enableCors();
+            deck.gain = context.createGain();
+            context.createMediaElementSource(deck.element).connect(deck.gain).connect(mix);
+        }
+        mix.connect(analyser).connect(context.destination);
+
+        this.graph = {
+            context,
+            analyser,
+            // Places an effect chain (input node through output node) between the decks and the analyser
+            insert(input, output) {
+                mix.disconnect();
+                mix.connect(input);
+                output.connect(analyser);
+            },
+        };
+        return this.graph;
+    }
+
+    // Sets each deck's element volume from the ReplayGain of the track it holds
+    setVolumes(getVolume) {
+        this.decks.forEach((deck) => (deck.element.volume = getVolume(deck.replayGain)));
+    }
+
+    setReplayGain(replayGain) {
+        this.active.replayGain = replayGain;
+    }
+
+    get element() {
+        return this.active.element;
+    }
+
+    get src() {
+        return this.active.element.src;
+    }
+
+    get currentSrc() {
+        return this.active.element.currentSrc;
+    }
+
+    get currentTime() {
+        return this.active.element.currentTime;
+    }
+
+    set currentTime(value) {
+        this.finishHandoff?.();
+        this.active.element.currentTime = value;
+    }
+
+    get duration() {
+        return this.active.element.duration;
+    }
+
+    get paused() {
+        return this.active.element.paused;
+    }
+
+    get ended() {
+        return this.active.element.ended;
+    }
+
+    get error() {
+        return this.active.element.error;
+    }
+
+    get readyState() {
+        return this.active.element.readyState;
+    }
+
+    get buffered() {
+        return this.active.element.buffered;
+    }
+
+    get volume() {
+        return this.active.element.volume;
+    }
+
+    set volume(value) {
+        this.active.element.volume = value;
+    }
+
+    get muted() {
+        return this.active.element.muted;
+    }
+
+    set muted(value) {
+        this.elements.forEach((element) => (element.muted = value));
+    }
+
+    get playbackRate() {
+        return this.active.element.playbackRate;
+    }
+
+    set playbackRate(value) {
+        this.elements.forEach((element) => (element.playbackRate = value));
+    }
+
+    play() {
+        return this.active.element.play();
+    }
+
+    pause() {
+        this.finishHandoff?.();
+        this.active.element.pause();
+    }
+
+    // Loads a track into the active element, dropping whatever was prepared to follow it.
+    // DASH manifests autoplay, plain URLs are started here
+    async load(url, { dash = false, startTime = 0 } = {}) {
+        this.finishHandoff?.();
+        this.cancelNext();
+        this.active.load(url, { dash, startTime });
+        if (!dash) await this.active.element.play();
+    }
+
+    // Buffers the track that follows the current one. meta comes back with 'gapless-transition';
+    // key identifies the item so preparing it again only updates meta, fade and curve. fade is the
+    // crossfade length in seconds, 0 hands off gaplessly
+    async prepareNext(url, { dash = false, volume = 1, replayGain = null, fade = 0, curve, key, meta } = {}) {
+        if (this.next?.key === key && this.next.url === url) {
+            Object.assign(this.next, { meta, fade, curve });
+            this.schedule();
+            return;
+        }
+
+        this.cancelNext();
+        const next = { url, key, meta, fade, curve };
+        this.next = next;
+        await this.retiring;
+        if (this.next !== next) return;
+
+        this.standby.replayGain = replayGain;
+        this.standby.element.volume = volume;
+        this.standby.element.muted = this.active.element.muted;
+        this.standby.element.playbackRate = this.active.element.playbackRate;
+        this.standby.load(url, { dash, autoplay: false });
+    }
+
+    cancelNext() {
+        this.clearSchedule();
+        if (!this.next) return;
+        this.next = null;
+        if (!this.retiring) this.standby.unload();
+    }
+
+    clearSchedule() {
+        this.cancelTimer?.();
+        this.cancelTimer = null;
+    }
+
+    // The graph's context when there is one, otherwise a silent context that only keeps time
+    getClock() {
+        if (this.graph) return this.graph.context;
+        if (!this.clock) {
+            const AudioContext = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContext) return null;
+            this.clock = new AudioContext();
+        }
+        if (this.clock.state === 'suspended') this.clock.resume().catch(() => {});
+        return this.clock;
+    }
+
+    // Runs callback after delay seconds. A silent source ending on the audio clock fires it, the
+    // timer only covers a context that isn't running. Returns a function that cancels it
+    runAfter(delay, callback) {
+        let source = null;
+        let timer = null;
+        const cancel = () => {
+            clearTimeout(timer);
+            if (!source) return;
+            source.onended = null;
+            source.disconnect();
+            source = null;
+        };
+        const run = () => {
+            cancel();
+            callback();
+        };
+
+        const context = this.getClock();
+        const clocked = context?.state === 'running';
+        if (clocked) {
+            source = context.createConstantSource();
+            source.offset.value = 0;
+            source.connect(context.destination);
+            source.onended = run;
+            source.start();
+            source.stop(context.currentTime + delay);
+        }
+        timer = setTimeout(run, (delay + (clocked ? CLOCK_FALLBACK_SLACK : 0)) * 1000);
+        return cancel;
+    }
+
+    getRemaining() {
+        const element = this.active.element;
+        return (element.duration - element.currentTime) / (element.playbackRate || 1);
+    }
+
+    // Crossfades need the graph's gain nodes, without it every handoff is gapless
+    getLead() {
+        return this.graph && this.next?.fade > 0 ? this.next.fade : this.startLatency;
+    }
+
+    // Times the handoff once the active track is about to run out
+    schedule() {
+        this.clearSchedule();
+        const element = this.active.element;
+        if (!this.next || element.paused || !Number.isFinite(element.duration)) return;
+
+        const remaining = this.getRemaining();
+        const lead = this.getLead();
+        if (remaining > lead + ARM_WINDOW) return;
+
+        this.cancelTimer = this.runAfter(Math.max(0, remaining - lead), () => this.handoff());
+    }
+
+    handoff() {
+        this.cancelTimer = null;
+        const next = this.next;
+        const outgoing = this.active;
+        const incoming = this.standby;
+        if (!next || outgoing.element.paused || this.finishHandoff) return;
+
+        // The standby isn't ready to start cleanly yet. The next timeupdate tries again with a
+        // shorter fade, or the owner's 'ended' fallback takes over
+        if (incoming.element.readyState < HTMLMediaElement.HAVE_FUTURE_DATA) return;
+
+        const fade = this.graph && next.fade > 0 ? Math.min(next.fade, this.getRemaining()) : 0;
+        this.next = null;
+        this.active = incoming;
+        this.standby = outgoing;
+        this.dispatchEvent(new CustomEvent('gapless-transition', { detail: next.meta }));
+        HANDOFF_EVENTS.forEach((type) => this.dispatchEvent(new Event(type)));
+
+        const startedAt = performance.now();
+        let cancelFadeTimer = null;
+        let resolveRetiring;
+        this.retiring = new Promise((resolve) => (resolveRetiring = resolve));
+
+        // Runs once the outgoing deck is done, early when playback is paused, seeked or replaced
+        const finish = () => {
+            if (this.finishHandoff !== finish) return;
+            this.finishHandoff = null;
+            this.retiring = null;
+            cancelFadeTimer?.();
+            incoming.element.removeEventListener('playing', onPlaying);
+            outgoing.unload();
+            outgoing.resetGain();
+            incoming.resetGain();
+            resolveRetiring();
+        };
+        const onPlaying = () => {
+            // Moving average of how long play() takes to produce sound
+            const latency = (performance.now() - startedAt) / 1000;
+            this.startLatency = Math.min(0.25, this.startLatency * 0.7 + latency * 0.3);
+            if (fade === 0) finish();
+        };
+        this.finishHandoff = finish;
+
+        // The fades start where the incoming deck is expected to become audible
+        if (fade > 0) {
+            this.rampGains(outgoing, incoming, fade, next.curve, this.graph.context.currentTime + this.startLatency);
+            cancelFadeTimer = this.runAfter(this.startLatency + fade, finish);
+        }
+
+        incoming.element.addEventListener('playing', onPlaying, { once: true });
+        incoming.element.play().catch((error) => {
+            console.warn('Gapless handoff failed:', error);
+            finish();
+        });
+    }
+
+    // Automation runs on the audio thread, so both ramps start at the context time `at` and end on
+    // the same sample. The incoming deck stays silent until then
+    rampGains(outgoing, incoming, fade, curve, at) {
+        const now = this.graph.context.currentTime;
+        const { fadeOut, fadeIn } = buildFadeCurves(curve);
+        outgoing.gain.gain.cancelScheduledValues(now);
+        outgoing.gain.gain.setValueAtTime(1, now);
+        outgoing.gain.gain.setValueCurveAtTime(fadeOut, at, fade);
+        incoming.gain.gain.cancelScheduledValues(now);
+        incoming.gain.gain.setValueAtTime(0, now);
+        incoming.gain.gain.setValueCurveAtTime(fadeIn, at, fade);
+    }
+}
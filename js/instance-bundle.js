@@ -0,0 +1,189 @@
+//js/instance-bundle.js
+// Parsing and validation for instances.json and user supplied instance bundles
+
+export const INSTANCE_BUNDLE_VERSION = 2;
+export const INSTANCE_TYPES = ['api', 'streaming'];
+export const INSTANCE_CAPABILITIES = ['search', 'artist', 'lyrics', 'mixes', 'hires-dash', 'lossless'];
+
+export class InstanceBundleError extends Error {
+    constructor(errors) {
+        super(`Invalid instance bundle:\n${errors.map((e) => `• ${e}`).join('\n')}`);
+        this.name = 'InstanceBundleError';
+        this.errors = errors;
+    }
+}
+
+export const normalizeInstanceUrl = (url) => url.trim().replace(/\/+$/, '');
+
+const isHttpUrl = (value) => {
+    try {
+        const { protocol } = new URL(value);
+        return protocol === 'http:' || protocol === 'https:';
+    } catch {
+        return false;
+    }
+};
+
+// Flat arrays and { api, streaming } lists from before v2. These carry no metadata
+function parseLegacyBundle(data) {
+    const bundle = { api: [], streaming: [], meta: {} };
+
+    if (Array.isArray(data)) {
+        bundle.api = [...data];
+        bundle.streaming = [...data];
+        return bundle;
+    }
+
+    if (Array.isArray(data.api)) {
+        const isSimpleArray = data.api.length > 0 && typeof data.api[0] === 'string';
+        if (isSimpleArray) {
+            bundle.api = [...data.api];
+        } else {
+            for (const config of data.api) {
+                if (config?.cors === false && Array.isArray(config.urls)) {
+                    bundle.api.push(...config.urls);
+                }
+            }
+        }
+    }
+
+    if (Array.isArray(data.streaming)) {
+        bundle.streaming = [...data.streaming];
+    } else if (bundle.api.length > 0) {
+        bundle.streaming = [...bundle.api];
+    }
+
+    return bundle;
+}
+
+function validateInstance(instance, path, errors) {
+    if (!instance || typeof instance !== 'object' || Array.isArray(instance)) {
+        errors.push(`${path} must be an object`);
+        return null;
+    }
+
+    if (typeof instance.url !== 'string' || !isHttpUrl(instance.url)) {
+        errors.push(`${path}.url must be an http(s) URL`);
+        return null;
+    }
+
+    const types = instance.types ?? INSTANCE_TYPES;
+    if (!Array.isArray(types) || types.length === 0) {
+        errors.push(`${path}.types must be a non-empty array`);
+    } else {
+        types.forEach((type, i) => {
+            if (!INSTANCE_TYPES.includes(type)) {
+                errors.push(`${path}.types[${i}] "${type}" is not one of ${INSTANCE_TYPES.join(', ')}`);
+            }
+        });
+    }
+
+    // Omitted capabilities mean "unknown", an empty array means the instance declares none
+    const capabilities = instance.capabilities;
+    if (capabilities !== undefined) {
+        if (!Array.isArray(capabilities)) {
+            errors.push(`${path}.capabilities must be an array`);
+        } else {
+            capabilities.forEach((capability, i) => {
+                if (!INSTANCE_CAPABILITIES.includes(capability)) {
+                    errors.push(
+                        `${path}.capabilities[${i}] "${capability}" is not one of ${INSTANCE_CAPABILITIES.join(', ')}`
+                    );
+                }
+            });
+        }
+    }
+
+    if (instance.region !== undefined && typeof instance.region !== 'string') {
+        errors.push(`${path}.region must be a string`);
+    }
+
+    if (instance.weight !== undefined && !(typeof instance.weight === 'number' && instance.weight > 0)) {
+        errors.push(`${path}.weight must be a positive number`);
+    }
+
+    if (instance.note !== undefined && typeof instance.note !== 'string') {
+        errors.push(`${path}.note must be a string`);
+    }
+
+    return {
+        url: normalizeInstanceUrl(instance.url),
+        types: Array.isArray(types) ? types : INSTANCE_TYPES,
+        meta: {
+            capabilities: Array.isArray(capabilities) ? capabilities : null,
+            region: typeof instance.region === 'string' ? instance.region : null,
+            weight: typeof instance.weight === 'number' ? instance.weight : 1,
+            note: typeof instance.note === 'string' ? instance.note : null,
+        },
+    };
+}
+
+// Resolves any supported format to { api: [urls], streaming: [urls], meta: { [url]: meta } }.
+// Throws an InstanceBundleError listing every problem rather than stopping at the first one
+export function parseInstanceBundle(data) {
+    if (!data || typeof data !== 'object') {
+        throw new InstanceBundleError(['Bundle must be a JSON object or array']);
+    }
+
+    if (data.version === undefined) {
+        const legacy = parseLegacyBundle(data);
+        const urls = [...legacy.api, ...legacy.streaming];
+        const invalid = urls.filter((url) => typeof url !== 'string' || !isHttpUrl(url));
+        if (urls.length === 0) throw new InstanceBundleError(['Bundle does not contain any instances']);
+        if (invalid.length > 0) {
+            throw new InstanceBundleError(invalid.map((url) => `"${url}" is not an http(s) URL`));
+        }
+        return {
+            api: legacy.api.map(normalizeInstanceUrl),
+            streaming: legacy.streaming.map(normalizeInstanceUrl),
+            meta: {},
+        };
+    }
+
+    if (data.version !== INSTANCE_BUNDLE_VERSION) {
+        throw new InstanceBundleError([
+            `Unsupported version ${JSON.stringify(data.version)}, expected ${INSTANCE_BUNDLE_VERSION}`,
+        ]);
+    }
+
+    if (!Array.isArray(data.instances) || data.instances.length === 0) {
+        throw new InstanceBundleError(['instances must be a non-empty array']);
+    }
+
+    const errors = [];
+    const bundle = { api: [], streaming: [], meta: {} };
+    // An instance may be listed once per type so it can sit at a different position in each list
+    const seen = new Map();
+
+    data.instances.forEach((raw, i) => {
+        const instance = validateInstance(raw, `instances[${i}]`, errors);
+        if (!instance) return;
+
+        const seenTypes = seen.get(instance.url) ?? new Set();
+        const repeated = instance.types.filter((type) => seenTypes.has(type));
+        if (repeated.length > 0) {
+            errors.push(`instances[${i}].url ${instance.url} is listed more than once as ${repeated.join(', ')}`);
+            return;
+        }
+        seen.set(instance.url, seenTypes);
+
+        instance.types.forEach((type) => {
+            seenTypes.add(type);
+            if (INSTANCE_TYPES.includes(type)) bundle[type].push(instance.url);
+        });
+        bundle.meta[instance.url] ??= instance.meta;
+    });
+
+    if (errors.length > 0) throw new InstanceBundleError(errors);
+    return bundle;
+}
+
+// Incoming entries win, existing ones not in the incoming bundle are kept after them
+export function mergeInstanceBundles(current, incoming) {
+    const mergeList = (a = [], b = []) => [...new Set([...b, ...a])];
+    return {
+        api: mergeList(current.api, incoming.api),
+        streaming: mergeList(current.streaming, incoming.streaming),
+        meta: { ...current.meta, ...incoming.meta },
+    };
+}
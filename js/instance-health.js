@@ -0,0 +1,189 @@
+//js/instance-health.js
+// Live health tracking for API/streaming instances with a simple circuit breaker
+
+const CIRCUIT = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half-open',
+};
+
+const FAILURE_THRESHOLD = 3; // Consecutive failures before the circuit opens
+const BASE_BACKOFF = 1000 * 15;
+const MAX_BACKOFF = 1000 * 60 * 10;
+const DEFAULT_RATE_LIMIT_COOLDOWN = 1000 * 30;
+const OUTCOME_WINDOW = 20; // Number of recent outcomes used for the success rate
+const LATENCY_SMOOTHING = 0.3;
+
+export class InstanceHealthRegistry {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    getKey(url, type) {
+        // Same keying as the speed test cache, streaming checks hit a different endpoint
+        return type === 'streaming' ? `${url}#streaming` : url;
+    }
+
+    getEntry(url, type) {
+        const key = this.getKey(url, type);
+        let entry = this.entries.get(key);
+        if (!entry) {
+            entry = {
+                outcomes: [],
+                latency: null,
+                consecutiveFailures: 0,
+                cooldownUntil: 0,
+                state: CIRCUIT.CLOSED,
+                openUntil: 0,
+                openCount: 0,
+                probing: false,
+            };
+            this.entries.set(key, entry);
+        }
+        return entry;
+    }
+
+    pushOutcome(entry, ok) {
+        entry.outcomes.push(ok);
+        if (entry.outcomes.length > OUTCOME_WINDOW) {
+            entry.outcomes.shift();
+        }
+    }
+
+    getSuccessRate(entry) {
+        if (entry.outcomes.length === 0) return 1;
+        return entry.outcomes.filter(Boolean).length / entry.outcomes.length;
+    }
+
+    // Non-mutating check, half-open instances count as available
+    isAvailable(url, type) {
+        const entry = this.entries.get(this.getKey(url, type));
+        if (!entry) return true;
+
+        const now = Date.now();
+        if (entry.cooldownUntil > now) return false;
+        if (entry.state === CIRCUIT.OPEN) return entry.openUntil <= now;
+        if (entry.state === CIRCUIT.HALF_OPEN) return !entry.probing;
+        return true;
+    }
+
+    // Called right before a request. Half-open circuits only let a single trial request through
+    acquire(url, type) {
+        if (!this.isAvailable(url, type)) return false;
+
+        const entry = this.getEntry(url, type);
+        if (entry.state === CIRCUIT.OPEN) {
+            entry.state = CIRCUIT.HALF_OPEN;
+        }
+        if (entry.state === CIRCUIT.HALF_OPEN) {
+            entry.probing = true;
+        }
+        return true;
+    }
+
+    // Request was cancelled before we learned anything about the instance
+    release(url, type) {
+        const entry = this.entries.get(this.getKey(url, type));
+        if (entry) entry.probing = false;
+    }
+
+    recordSuccess(url, type, latency) {
+        const entry = this.getEntry(url, type);
+        this.pushOutcome(entry, true);
+
+        if (typeof latency === 'number' && isFinite(latency)) {
+            entry.latency =
+                entry.latency === null
+                    ? latency
+                    : entry.latency * (1 - LATENCY_SMOOTHING) + latency * LATENCY_SMOOTHING;
+        }
+
+        entry.consecutiveFailures = 0;
+        entry.state = CIRCUIT.CLOSED;
+        entry.openCount = 0;
+        entry.probing = false;
+    }
+
+    recordFailure(url, type) {
+        const entry = this.getEntry(url, type);
+        this.pushOutcome(entry, false);
+        entry.consecutiveFailures++;
+
+        const failedProbe = entry.state === CIRCUIT.HALF_OPEN;
+        entry.probing = false;
+
+        if (failedProbe || entry.consecutiveFailures >= FAILURE_THRESHOLD) {
+            this.openCircuit(url, entry);
+        }
+    }
+
+    recordRateLimit(url, type, retryAfter = null) {
+        const entry = this.getEntry(url, type);
+        const cooldown = retryAfter && retryAfter > 0 ? retryAfter : DEFAULT_RATE_LIMIT_COOLDOWN;
+        entry.cooldownUntil = Date.now() + Math.min(cooldown, MAX_BACKOFF);
+        entry.probing = false;
+        if (entry.state === CIRCUIT.HALF_OPEN) {
+            entry.state = CIRCUIT.OPEN;
+        }
+    }
+
+    openCircuit(url, entry) {
+        entry.openCount++;
+        const backoff = Math.min(BASE_BACKOFF * 2 ** (entry.openCount - 1), MAX_BACKOFF);
+        entry.state = CIRCUIT.OPEN;
+        entry.openUntil = Date.now() + backoff;
+        console.warn(`[Health] Circuit opened for ${url}, retrying in ${Math.round(backoff / 1000)}s`);
+    }
+
+    // Lower is better. Instances we haven't talked to yet start with a clean record
+    getPenalty(url, type) {
+        const entry = this.entries.get(this.getKey(url, type));
+        if (!entry) return 0;
+        return (1 - this.getSuccessRate(entry)) * 10 + entry.consecutiveFailures;
+    }
+
+    // Unavailable instances sort last, then by failure history, then by live latency.
+    // Remaining ties keep their incoming (speed test) order
+    rank(urls, type) {
+        return urls
+            .map((url, index) => ({
+                url,
+                index,
+                available: this.isAvailable(url, type),
+                penalty: this.getPenalty(url, type),
+                latency: this.entries.get(this.getKey(url, type))?.latency ?? null,
+            }))
+            .sort((a, b) => {
+                if (a.available !== b.available) return a.available ? -1 : 1;
+                if (a.penalty !== b.penalty) return a.penalty - b.penalty;
+                if (a.latency !== null && b.latency !== null) return a.latency - b.latency;
+                return a.index - b.index;
+            })
+            .map((item) => item.url);
+    }
+
+    getStatus(url, type) {
+        const entry = this.entries.get(this.getKey(url, type));
+        if (!entry) return null;
+
+        return {
+            state: entry.state,
+            available: this.isAvailable(url, type),
+            successRate: this.getSuccessRate(entry),
+            latency: entry.latency,
+            consecutiveFailures: entry.consecutiveFailures,
+            cooldownUntil: entry.cooldownUntil,
+            openUntil: entry.openUntil,
+        };
+    }
+}
+
+export const parseRetryAfter = (header) => {
+    if (!header) return null;
+    const seconds = Number(header);
+    if (!isNaN(seconds)) return seconds * 1000;
+    const date = Date.parse(header);
+    return isNaN(date) ? null : date - Date.now();
+};
+
+export const instanceHealth = new InstanceHealthRegistry();
@@ -0,0 +1,203 @@
+//js/instance-probes.js
+// Capability probes for API/streaming instances. Unlike the speed test these check what an
+// instance actually serves, results are persisted per instance with a timestamp. Only an instance
+// that answers without the capability counts as lacking it, a probe that couldn't reach the
+// instance leaves the capability unknown for a while and is retried
+
+const PROBE_TRACK_ID = 204567804;
+const PROBE_ARTIST_ID = 3532302; // Daft Punk
+const PROBE_TIMEOUT = 8000;
+
+// Thrown by a probe when the instance answered but doesn't serve the capability
+class CapabilityMissingError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CapabilityMissingError';
+    }
+}
+
+const decodeManifest = (manifest) => {
+    try {
+        return atob(manifest);
+    } catch {
+        return '';
+    }
+};
+
+const fetchJson = async (baseUrl, path, signal) => {
+    const response = await fetch(`${baseUrl.replace(/\/+$/, '')}${path}`, { signal, cache: 'no-store' });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return response.json();
+};
+
+// Each probe resolves to a short detail string on success. It throws a CapabilityMissingError when
+// the response shows the capability is missing, anything else it throws means the probe failed
+const PROBES = [
+    {
+        key: 'hires-dash',
+        label: 'Hi-Res DASH',
+        type: 'streaming',
+        async run(baseUrl, signal) {
+            const data = await fetchJson(baseUrl, `/track/?id=${PROBE_TRACK_ID}&quality=HI_RES_LOSSLESS`, signal);
+            const info = data.data ?? data;
+            if (!decodeManifest(info.manifest).includes('<MPD')) {
+                throw new CapabilityMissingError(`No DASH manifest (got ${info.audioQuality || 'unknown quality'})`);
+            }
+            return [info.bitDepth && `${info.bitDepth}-bit`, info.sampleRate && `${info.sampleRate / 1000} kHz`]
+                .filter(Boolean)
+                .join(' / ');
+        },
+    },
+    {
+        key: 'lossless',
+        label: 'Lossless',
+        type: 'streaming',
+        async run(baseUrl, signal) {
+            const data = await fetchJson(baseUrl, `/track/?id=${PROBE_TRACK_ID}&quality=LOSSLESS`, signal);
+            const info = data.data ?? data;
+            const decoded = decodeManifest(info.manifest);
+            if (decoded.includes('<MPD') || !/https?:\/\//.test(decoded)) {
+                throw new CapabilityMissingError('No direct stream URL');
+            }
+            return info.audioQuality || '';
+        },
+    },
+    {
+        key: 'search',
+        label: 'Search',
+        type: 'api',
+        async run(baseUrl, signal) {
+            const data = await fetchJson(baseUrl, '/search/?s=Daft%20Punk', signal);
+            if (!/"items":\[\{/.test(JSON.stringify(data))) throw new CapabilityMissingError('Empty search results');
+            return '';
+        },
+    },
+    {
+        key: 'artist',
+        label: 'Artist',
+        type: 'api',
+        async run(baseUrl, signal) {
+            const data = await fetchJson(baseUrl, `/artist/?id=${PROBE_ARTIST_ID}`, signal);
+            const artist = (data.data ?? data).artist;
+            if (!artist?.name) throw new CapabilityMissingError('No artist details');
+            return '';
+        },
+    },
+    {
+        key: 'mixes',
+        label: 'Mixes',
+        type: 'api',
+        async run(baseUrl, signal) {
+            const artistData = await fetchJson(baseUrl, `/artist/?id=${PROBE_ARTIST_ID}`, signal);
+            const mixId = (artistData.data ?? artistData).artist?.mixes?.ARTIST_MIX;
+            if (!mixId) throw new CapabilityMissingError('No artist mix to probe with');
+
+            const data = await fetchJson(baseUrl, `/mix/?id=${mixId}`, signal);
+            if (!data.mix || !data.items?.length) throw new CapabilityMissingError('Empty mix');
+            return '';
+        },
+    },
+];
+
+export const instanceProbes = {
+    STORAGE_KEY: 'monochrome-instance-probes',
+    RESULT_TTL: 1000 * 60 * 60 * 12,
+    // Probes that failed to get an answer are retried much sooner
+    FAILED_TTL: 1000 * 60 * 10,
+    PROBES,
+    running: null,
+
+    // { [url]: { [probeKey]: { ok, checkedAt, detail } } }, ok is null when the probe got no answer
+    getResults() {
+        try {
+            return JSON.parse(localStorage.getItem(this.STORAGE_KEY)) || {};
+        } catch {
+            return {};
+        }
+    },
+
+    saveResults(results) {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(results));
+        } catch {
+            console.warn('[Probes] Failed to save results');
+        }
+    },
+
+    isStale(result) {
+        const ttl = result.ok === null ? this.FAILED_TTL : this.RESULT_TTL;
+        return Date.now() - result.checkedAt > ttl;
+    },
+
+    getResult(url, key) {
+        const result = this.getResults()[url]?.[key];
+        if (!result || this.isStale(result)) return null;
+        return result;
+    },
+
+    // true/false from a fresh probe, null when the capability hasn't been probed or the probe failed
+    supports(url, capability) {
+        return this.getResult(url, capability)?.ok ?? null;
+    },
+
+    async runProbe(probe, url) {
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), PROBE_TIMEOUT);
+        try {
+            const detail = await probe.run(url, controller.signal);
+            return { ok: true, checkedAt: Date.now(), detail };
+        } catch (error) {
+            if (error instanceof CapabilityMissingError) {
+                return { ok: false, checkedAt: Date.now(), detail: error.message };
+            }
+            const detail = error.name === 'AbortError' ? 'Timed out' : error.message;
+            return { ok: null, checkedAt: Date.now(), detail };
+        } finally {
+            clearTimeout(timeout);
+        }
+    },
+
+    // instances is { api: [urls], streaming: [urls] }. With onlyStale, probes that still
+    // have a fresh result are skipped. Concurrent calls share the same run
+    probeAll(instances, { onlyStale = false } = {}) {
+        if (this.running) return this.running;
+
+        const tasks = [];
+        for (const probe of PROBES) {
+            for (const url of instances[probe.type] || []) {
+                if (onlyStale && this.getResult(url, probe.key)) continue;
+                tasks.push({ probe, url });
+            }
+        }
+
+        if (tasks.length === 0) return Promise.resolve(this.getResults());
+        console.log(`[Probes] Running ${tasks.length} capability probes...`);
+
+        // Probes for one instance run one after another so a single mirror isn't flooded
+        const byUrl = new Map();
+        tasks.forEach((task) => byUrl.set(task.url, [...(byUrl.get(task.url) || []), task]));
+
+        this.running = Promise.all(
+            [...byUrl.entries()].map(async ([url, urlTasks]) => {
+                const results = {};
+                for (const { probe } of urlTasks) {
+                    results[probe.key] = await this.runProbe(probe, url);
+                }
+                return [url, results];
+            })
+        )
+            .then((entries) => {
+                const stored = this.getResults();
+                for (const [url, results] of entries) {
+                    stored[url] = { ...stored[url], ...results };
+                }
+                this.saveResults(stored);
+                return stored;
+            })
+            .finally(() => {
+                this.running = null;
+            });
+
+        return this.running;
+    },
+};
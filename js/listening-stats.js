@@ -1,12 +1,16 @@
 //js/listening-stats.js
 // Listening Statistics Tracker
 
+// A track left for another one before this many seconds counts as skipped
+const SKIP_THRESHOLD = 30;
+
 export class ListeningStats {
     constructor() {
         this.STORAGE_KEY = 'multichrome-listening-stats';
         this.currentTrack = null;
         this.startTime = null;
         this.isPlaying = false;
+        this.listenedTime = 0; // seconds of the current track across pauses
         this.stats = this.loadStats();
     }
 
@@ -14,7 +18,10 @@ export class ListeningStats {
         try {
             const saved = localStorage.getItem(this.STORAGE_KEY);
             if (saved) {
-                return JSON.parse(saved);
+                const stats = JSON.parse(saved);
+                // Stats saved before skips were tracked
+                stats.skips ??= { tracks: {}, artists: {} };
+                return stats;
             }
         } catch (e) {
             console.warn('Failed to load listening stats:', e);
@@ -25,6 +32,7 @@ export class ListeningStats {
             artists: {}, // artistId -> { count, totalTime, name }
             albums: {}, // albumId -> { count, totalTime, title, artist }
             history: [], // Array of {trackId, timestamp, duration}
+            skips: { tracks: {}, artists: {} }, // id -> count
             totalListenTime: 0,
             startDate: Date.now(),
         };
@@ -41,15 +49,40 @@ export class ListeningStats {
     startTracking(track) {
         if (!track || !track.id) return;
 
+        if (this.currentTrack?.id !== track.id) {
+            this.checkSkip();
+            this.listenedTime = 0;
+        }
+
         this.currentTrack = track;
         this.startTime = Date.now();
         this.isPlaying = true;
     }
 
+    // Called when the current track is replaced before it ended
+    checkSkip() {
+        const track = this.currentTrack;
+        if (!track) return;
+
+        const running = this.isPlaying && this.startTime ? (Date.now() - this.startTime) / 1000 : 0;
+        const listened = this.listenedTime + running;
+        // Very short tracks are left early by nature
+        if (listened >= SKIP_THRESHOLD || (track.duration && track.duration < SKIP_THRESHOLD * 2)) return;
+
+        const artistId = track.artist?.id || track.artists?.[0]?.id;
+        const { skips } = this.stats;
+        skips.tracks[track.id] = (skips.tracks[track.id] || 0) + 1;
+        if (artistId) {
+            skips.artists[artistId] = (skips.artists[artistId] || 0) + 1;
+        }
+        this.saveStats();
+    }
+
     pauseTracking() {
         if (!this.isPlaying || !this.currentTrack || !this.startTime) return;
 
         const listenTime = (Date.now() - this.startTime) / 1000; // in seconds
+        this.listenedTime += listenTime;
 
         // Only count if listened for at least 30 seconds
         if (listenTime >= 30) {
@@ -70,6 +103,7 @@ export class ListeningStats {
         this.pauseTracking();
         this.currentTrack = null;
         this.startTime = null;
+        this.listenedTime = 0;
     }
 
     updateStats(track, listenTime) {
@@ -174,6 +208,17 @@ export class ListeningStats {
         });
     }
 
+    // Play and skip counts keyed by id, the shape recommendTracks() takes as signals
+    getPlaySignals() {
+        const counts = (entries) => Object.fromEntries(Object.entries(entries).map(([id, data]) => [id, data.count]));
+        return {
+            trackPlays: counts(this.stats.tracks),
+            artistPlays: counts(this.stats.artists),
+            trackSkips: { ...this.stats.skips.tracks },
+            artistSkips: { ...this.stats.skips.artists },
+        };
+    }
+
     getTotalStats() {
         const totalTracks = Object.keys(this.stats.tracks).length;
         const totalArtists = Object.keys(this.stats.artists).length;
@@ -221,6 +266,7 @@ export class ListeningStats {
             artists: {},
             albums: {},
             history: [],
+            skips: { tracks: {}, artists: {} },
             totalListenTime: 0,
             startDate: Date.now(),
         };
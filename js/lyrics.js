@@ -225,53 +225,17 @@ export class LyricsManager {
     }
 
     async fetchLyrics(trackId, track = null) {
-        if (track) {
-            if (this.lyricsCache.has(trackId)) {
-                return this.lyricsCache.get(trackId);
-            }
-
-            try {
-                const artist = Array.isArray(track.artists)
-                    ? track.artists.map((a) => a.name || a).join(', ')
-                    : track.artist?.name || '';
-                const title = track.title || '';
-                const album = track.album?.title || '';
-                const duration = track.duration ? Math.round(track.duration) : null;
-
-                if (!title || !artist) {
-                    console.warn('Missing required fields for LRCLIB');
-                    return null;
-                }
-
-                const params = new URLSearchParams({
-                    track_name: title,
-                    artist_name: artist,
-                });
-
-                if (album) params.append('album_name', album);
-                if (duration) params.append('duration', duration.toString());
-
-                const response = await fetch(`https://lrclib.net/api/get?${params.toString()}`);
-
-                if (response.ok) {
-                    const data = await response.json();
+        if (!track || !this.api) return null;
 
-                    if (data.syncedLyrics) {
-                        const lyricsData = {
-                            subtitles: data.syncedLyrics,
-                            lyricsProvider: 'LRCLIB',
-                        };
-
-                        this.lyricsCache.set(trackId, lyricsData);
-                        return lyricsData;
-                    }
-                }
-            } catch (error) {
-                console.warn('LRCLIB fetch failed:', error);
-            }
+        if (this.lyricsCache.has(trackId)) {
+            return this.lyricsCache.get(trackId);
         }
 
-        return null;
+        const lyricsData = await this.api.getLyrics(track);
+        if (lyricsData) {
+            this.lyricsCache.set(trackId, lyricsData);
+        }
+        return lyricsData;
     }
 
     parseSyncedLyrics(subtitles) {
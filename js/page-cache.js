@@ -0,0 +1,54 @@
+//js/page-cache.js
+// Recently rendered detail pages, kept so going back or forward swaps the page back in instead of
+// rendering it again. The live page element is detached rather than cloned so trackDataStore
+// entries and the handlers its renderer attached keep working once it's restored
+export class PageCache {
+    constructor(size = 8) {
+        this.size = size;
+        this.entries = new Map();
+        this.templates = new Map();
+    }
+
+    // Keeps a copy of the page's markup as shipped, the next render starts from it
+    captureTemplate(pageId) {
+        const page = document.getElementById(`page-${pageId}`);
+        if (page && !this.templates.has(pageId)) {
+            this.templates.set(pageId, page.cloneNode(true));
+        }
+    }
+
+    // Detaches the rendered page and puts a fresh copy of the template in its place. extra carries
+    // whatever the router needs to restore it, such as the page theme and title
+    save(key, pageId, extra = {}) {
+        const page = document.getElementById(`page-${pageId}`);
+        const template = this.templates.get(pageId);
+        if (!page || !template) return;
+
+        const blank = template.cloneNode(true);
+        blank.classList.toggle('active', page.classList.contains('active'));
+        page.replaceWith(blank);
+
+        this.entries.delete(key);
+        this.entries.set(key, { ...extra, pageId, page, savedAt: Date.now() });
+        while (this.entries.size > this.size) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    // Swaps the cached page back into the document, resolves to its entry or null on a miss
+    restore(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+
+        const current = document.getElementById(`page-${entry.pageId}`);
+        if (!current) return null;
+
+        this.entries.delete(key);
+        current.replaceWith(entry.page);
+        return entry;
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+}
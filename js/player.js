@@ -1,5 +1,4 @@
 //js/player.js
-import { MediaPlayer } from 'dashjs';
 import {
     REPEAT_MODE,
     formatTime,
@@ -8,11 +7,30 @@ import {
     getTrackArtistsHTML,
     createQualityBadgeHTML,
 } from './utils.js';
-import { queueManager, replayGainSettings } from './storage.js';
+import { autoplaySettings, queueManager, replayGainSettings } from './storage.js';
+import { GaplessOutput } from './gapless.js';
+import { buildContinuation } from './autoplay.js';
+import {
+    DEFAULT_SHUFFLE_MODE,
+    createShuffleSeed,
+    formatShuffleCode,
+    isShareableShuffleMode,
+    isShuffleMode,
+    parseShuffleCode,
+    shuffleTracks,
+} from './shuffle.js';
+import { db } from './db.js';
+import { ListeningStats } from './listening-stats.js';
+
+// Destructive queue changes that can be undone
+const QUEUE_HISTORY_LIMIT = 30;
+// Autoplay tops the queue up once no more than this many tracks are left after the current one
+const AUTOPLAY_LOOKAHEAD = 1;
 
 export class Player {
     constructor(audioElement, api, quality = 'HI_RES_LOSSLESS') {
-        this.audio = audioElement;
+        // Behaves like the audio element, but plays the next queue item on a second one without a gap
+        this.audio = new GaplessOutput(audioElement);
         this.api = api;
         this.quality = quality;
         this.queue = [];
@@ -20,34 +38,43 @@ export class Player {
         this.originalQueueBeforeShuffle = [];
         this.currentQueueIndex = -1;
         this.shuffleActive = false;
+        this.shuffleMode = DEFAULT_SHUFFLE_MODE;
+        this.shuffleSeed = null;
         this.repeatMode = REPEAT_MODE.OFF;
+        // The saved queue this one was loaded from or saved as
+        this.savedQueueId = null;
+        this.undoStack = [];
+        this.redoStack = [];
         this.preloadCache = new Map();
+        // ReplayGain of the preloaded streams, by track id like preloadCache
+        this.preloadReplayGain = new Map();
         this.preloadAbortController = null;
         this.currentTrack = null;
         this.currentRgValues = null;
         this.userVolume = parseFloat(localStorage.getItem('volume') || '0.7');
         this.crossfadeManager = null; // Will be set by SpecialsManager
+        this.autoplayRequest = null;
+        // Last queue item autoplay won't continue from, nothing came up for it or the suggestions were cleared
+        this.autoplayDeclinedAfter = null;
 
         // Sleep timer properties
         this.sleepTimer = null;
         this.sleepTimerEndTime = null;
         this.sleepTimerInterval = null;
 
-        // Initialize dash.js player
-        this.dashPlayer = MediaPlayer().create();
-        this.dashPlayer.updateSettings({
-            streaming: {
-                buffer: {
-                    fastSwitchEnabled: true,
-                },
-            },
-        });
-        this.dashInitialized = false;
-
-        this.loadQueueState();
+        // The queue is read from IndexedDB, anything that looks at it on startup waits for this
+        this.ready = this.loadQueueState();
         this.setupMediaSession();
 
-        window.addEventListener('beforeunload', () => {
+        this.audio.addEventListener('gapless-transition', (e) => this.handleGaplessTransition(e.detail));
+        this.audio.addEventListener('stream-released', (e) => this.releaseStream(e.detail));
+
+        // The queue is written to IndexedDB, which the browser doesn't wait for once the page is
+        // unloading. Hiding the page comes first (closing a tab, switching away on mobile), so save then
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.saveQueueState();
+        });
+        window.addEventListener('pagehide', () => {
             this.saveQueueState();
         });
     }
@@ -58,13 +85,21 @@ export class Player {
         this.applyReplayGain();
     }
 
+    // Both decks play at once during a crossfade, each at the gain of its own track. The fade
+    // itself runs on the decks' GainNodes, after the element volume
     applyReplayGain() {
+        this.audio.setReplayGain(this.currentRgValues);
+        this.audio.setVolumes((rgValues) => this.getEffectiveVolume(rgValues));
+    }
+
+    // Element volume for a track with the given ReplayGain values
+    getEffectiveVolume(rgValues) {
         const mode = replayGainSettings.getMode(); // 'off', 'track', 'album'
         let gainDb = 0;
         let peak = 1.0;
 
-        if (mode !== 'off' && this.currentRgValues) {
-            const { trackReplayGain, trackPeakAmplitude, albumReplayGain, albumPeakAmplitude } = this.currentRgValues;
+        if (mode !== 'off' && rgValues) {
+            const { trackReplayGain, trackPeakAmplitude, albumReplayGain, albumPeakAmplitude } = rgValues;
 
             if (mode === 'album' && albumReplayGain !== undefined) {
                 gainDb = albumReplayGain;
@@ -87,25 +122,15 @@ export class Player {
         }
 
         // Calculate effective volume
-        let effectiveVolume = this.userVolume * scale;
-
-        // Apply crossfade volume multiplier if active
-        if (this.crossfadeManager && this.crossfadeManager.volumeMultiplier !== undefined) {
-            effectiveVolume *= this.crossfadeManager.volumeMultiplier;
-        }
+        const effectiveVolume = this.userVolume * scale;
 
-        // Apply to audio element
-        this.audio.volume = Math.max(0, Math.min(1, effectiveVolume));
+        return Math.max(0, Math.min(1, effectiveVolume));
     }
 
-    loadQueueState() {
-        const savedState = queueManager.getQueue();
+    async loadQueueState() {
+        const savedState = await queueManager.getQueue();
         if (savedState) {
-            this.queue = savedState.queue || [];
-            this.shuffledQueue = savedState.shuffledQueue || [];
-            this.originalQueueBeforeShuffle = savedState.originalQueueBeforeShuffle || [];
-            this.currentQueueIndex = savedState.currentQueueIndex ?? -1;
-            this.shuffleActive = savedState.shuffleActive || false;
+            this.applyQueueSnapshot(savedState);
             this.repeatMode = savedState.repeatMode || REPEAT_MODE.OFF;
 
             // Restore current track if queue exists and index is valid
@@ -164,14 +189,134 @@ export class Player {
     }
 
     saveQueueState() {
-        queueManager.saveQueue({
-            queue: this.queue,
-            shuffledQueue: this.shuffledQueue,
-            originalQueueBeforeShuffle: this.originalQueueBeforeShuffle,
+        queueManager.saveQueue({ ...this.getQueueSnapshot(), repeatMode: this.repeatMode });
+    }
+
+    // Copies of everything that makes up the queue, without the repeat mode which isn't tied to one
+    getQueueSnapshot() {
+        return {
+            queue: [...this.queue],
+            shuffledQueue: [...this.shuffledQueue],
+            originalQueueBeforeShuffle: [...this.originalQueueBeforeShuffle],
             currentQueueIndex: this.currentQueueIndex,
             shuffleActive: this.shuffleActive,
-            repeatMode: this.repeatMode,
-        });
+            shuffleMode: this.shuffleMode,
+            shuffleSeed: this.shuffleSeed,
+            savedQueueId: this.savedQueueId,
+        };
+    }
+
+    applyQueueSnapshot(snapshot) {
+        this.queue = [...(snapshot.queue || [])];
+        this.shuffledQueue = [...(snapshot.shuffledQueue || [])];
+        this.originalQueueBeforeShuffle = [...(snapshot.originalQueueBeforeShuffle || [])];
+        this.currentQueueIndex = snapshot.currentQueueIndex ?? -1;
+        this.shuffleActive = snapshot.shuffleActive || false;
+        this.shuffleMode = isShuffleMode(snapshot.shuffleMode) ? snapshot.shuffleMode : DEFAULT_SHUFFLE_MODE;
+        this.shuffleSeed = snapshot.shuffleSeed || null;
+        this.savedQueueId = snapshot.savedQueueId || null;
+    }
+
+    // Remembers the queue as it is before a destructive change so the change can be undone
+    recordQueueChange() {
+        this.undoStack.push(this.getHistorySnapshot());
+        if (this.undoStack.length > QUEUE_HISTORY_LIMIT) this.undoStack.shift();
+        this.redoStack = [];
+    }
+
+    // Undo snapshots also remember which tracks were autoplay suggestions at the time
+    getHistorySnapshot() {
+        const snapshot = this.getQueueSnapshot();
+        const tracks = [...snapshot.queue, ...snapshot.shuffledQueue, ...snapshot.originalQueueBeforeShuffle];
+        return { ...snapshot, autoplayTracks: new Set(tracks.filter((t) => t.isAutoplay)) };
+    }
+
+    canUndoQueueChange() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedoQueueChange() {
+        return this.redoStack.length > 0;
+    }
+
+    undoQueueChange() {
+        return this.restoreQueueHistory(this.undoStack, this.redoStack);
+    }
+
+    redoQueueChange() {
+        return this.restoreQueueHistory(this.redoStack, this.undoStack);
+    }
+
+    // Playback carries on through undo and redo, the restored queue continues from the playing track
+    // when it has it
+    restoreQueueHistory(from, to) {
+        const snapshot = from.pop();
+        if (!snapshot) return false;
+
+        to.push(this.getHistorySnapshot());
+        this.applyQueueSnapshot(snapshot);
+        // Promoting a suggestion changes the track object the snapshot shares
+        for (const track of [...this.queue, ...this.shuffledQueue, ...this.originalQueueBeforeShuffle]) {
+            if (snapshot.autoplayTracks.has(track)) {
+                track.isAutoplay = true;
+            } else {
+                delete track.isAutoplay;
+            }
+        }
+
+        const currentQueue = this.getCurrentQueue();
+        if (this.currentTrack && currentQueue[this.currentQueueIndex]?.id !== this.currentTrack.id) {
+            const playingIndex = currentQueue.findIndex((t) => t.id === this.currentTrack.id);
+            if (playingIndex !== -1) this.currentQueueIndex = playingIndex;
+        }
+
+        this.saveQueueState();
+        this.preloadNextTracks();
+        return true;
+    }
+
+    getSavedQueues() {
+        return queueManager.getSavedQueues();
+    }
+
+    // Saves the queue under a name, replacing a saved queue that has it
+    async saveQueueAs(name) {
+        const entry = await queueManager.saveNamedQueue(name, this.getQueueSnapshot());
+        this.savedQueueId = entry.id;
+        this.saveQueueState();
+        return entry;
+    }
+
+    // Puts a saved queue in place of the current one and plays from where it was left. Progress on
+    // the saved queue being switched away from is saved first
+    async switchToSavedQueue(id) {
+        const entry = await queueManager.getSavedQueue(id);
+        if (!entry) return false;
+
+        if (this.savedQueueId && this.savedQueueId !== id) {
+            await queueManager.updateSavedQueue(this.savedQueueId, this.getQueueSnapshot());
+        }
+
+        this.recordQueueChange();
+        this.applyQueueSnapshot({ ...entry.state, savedQueueId: id });
+        this.clearPreloadCache();
+        this.saveQueueState();
+
+        const currentQueue = this.getCurrentQueue();
+        if (currentQueue[this.currentQueueIndex]) {
+            this.playTrackFromQueue();
+        } else if (currentQueue.length > 0) {
+            this.playAtIndex(0);
+        }
+        return true;
+    }
+
+    async deleteSavedQueue(id) {
+        await queueManager.deleteSavedQueue(id);
+        if (this.savedQueueId === id) {
+            this.savedQueueId = null;
+            this.saveQueueState();
+        }
     }
 
     setupMediaSession() {
@@ -221,7 +366,7 @@ export class Player {
         this.quality = quality;
     }
 
-    async getTrackWithFallback(trackId) {
+    async getTrackWithFallback(track) {
         // Try to get track with quality fallback
         const qualityFallbackOrder = ['HI_RES_LOSSLESS', 'LOSSLESS', 'HIGH', 'LOW'];
         const startIndex = qualityFallbackOrder.indexOf(this.quality);
@@ -230,13 +375,13 @@ export class Player {
         let lastError = null;
         for (const quality of qualitiesToTry) {
             try {
-                const trackData = await this.api.getTrack(trackId, quality);
+                const streamInfo = await this.api.getStreamInfo(track.id, quality, track.source);
                 // Verify we got valid data
-                if (trackData && trackData.info && trackData.info.manifest) {
+                if (streamInfo && streamInfo.streamUrl) {
                     if (quality !== this.quality) {
                         console.warn(`Track not available in ${this.quality}, using ${quality} instead`);
                     }
-                    return { trackData, actualQuality: quality };
+                    return { streamInfo, actualQuality: quality };
                 }
             } catch (error) {
                 lastError = error;
@@ -249,6 +394,8 @@ export class Player {
     }
 
     async preloadNextTracks() {
+        this.extendAutoplay();
+
         if (this.preloadAbortController) {
             this.preloadAbortController.abort();
         }
@@ -268,11 +415,13 @@ export class Player {
             if (this.preloadCache.has(track.id)) continue;
             if (track.isLocal) continue;
             try {
-                const streamUrl = await this.api.getStreamUrl(track.id, this.quality);
+                // Falls back to lower qualities like playback does, e.g. when no instance serves Hi-Res
+                const { streamInfo } = await this.getTrackWithFallback(track);
+                const { streamUrl, replayGain } = streamInfo;
+                this.cacheStream(track.id, streamUrl, replayGain);
 
                 if (this.preloadAbortController.signal.aborted) break;
 
-                this.preloadCache.set(track.id, streamUrl);
                 // Warm connection/cache
                 // For Blob URLs (DASH), this head request is not needed and can cause errors.
                 if (!streamUrl.startsWith('blob:')) {
@@ -284,6 +433,115 @@ export class Player {
                 }
             }
         }
+
+        this.prepareGaplessNext();
+    }
+
+    // Remembers a resolved stream, revoking the blob URL (DASH manifest or local file) it replaces
+    cacheStream(trackId, streamUrl, replayGain = null) {
+        const previous = this.preloadCache.get(trackId);
+        if (previous && previous !== streamUrl) this.revokeStream(previous);
+        this.preloadCache.set(trackId, streamUrl);
+        this.preloadReplayGain.set(trackId, replayGain);
+    }
+
+    revokeStream(url) {
+        if (url.startsWith('blob:') && !this.audio.isLoaded(url)) URL.revokeObjectURL(url);
+    }
+
+    // Forgets the preloaded streams, revoking the blob URLs no element is playing
+    clearPreloadCache() {
+        this.preloadCache.forEach((url) => this.revokeStream(url));
+        this.preloadCache.clear();
+        this.preloadReplayGain.clear();
+    }
+
+    // An element let go of a stream. A blob URL is dropped from the cache too, it's resolved again
+    // if the track comes back
+    releaseStream(url) {
+        if (!url.startsWith('blob:')) return;
+        for (const [trackId, cached] of this.preloadCache) {
+            if (cached !== url) continue;
+            this.preloadCache.delete(trackId);
+            this.preloadReplayGain.delete(trackId);
+        }
+        URL.revokeObjectURL(url);
+    }
+
+    // Index of the item that plays once the current one ends on its own, -1 when playback stops
+    getNextIndex() {
+        const currentQueue = this.getCurrentQueue();
+        if (this.currentQueueIndex < 0 || this.currentQueueIndex >= currentQueue.length) return -1;
+        if (this.repeatMode === REPEAT_MODE.ONE) return this.currentQueueIndex;
+
+        for (let step = 1; step <= currentQueue.length; step++) {
+            let index = this.currentQueueIndex + step;
+            if (index >= currentQueue.length) {
+                if (this.repeatMode !== REPEAT_MODE.ALL) return -1;
+                index -= currentQueue.length;
+            }
+            if (!currentQueue[index].isUnavailable) return index;
+        }
+        return -1;
+    }
+
+    // Buffers the next item on the standby element so it starts the moment the current one ends,
+    // or overlaps it when crossfading
+    async prepareGaplessNext() {
+        const index = this.getNextIndex();
+        const track = this.getCurrentQueue()[index];
+        // Nothing is loaded yet after a restored session, the first play prepares it
+        if (!track || !this.audio.src || (track.isLocal && !track.file)) {
+            this.audio.cancelNext();
+            return;
+        }
+
+        try {
+            let streamUrl = this.preloadCache.get(track.id);
+            let replayGain = this.preloadReplayGain.get(track.id) || null;
+            if (!streamUrl) {
+                if (track.isLocal) {
+                    streamUrl = URL.createObjectURL(track.file);
+                } else {
+                    const { streamInfo } = await this.getTrackWithFallback(track);
+                    replayGain = streamInfo.replayGain || null;
+                    streamUrl = streamInfo.streamUrl;
+                }
+                this.cacheStream(track.id, streamUrl, replayGain);
+            }
+
+            // The queue moved on while the stream was resolving
+            if (this.getNextIndex() !== index || this.getCurrentQueue()[index] !== track) return;
+
+            await this.audio.prepareNext(streamUrl, {
+                // Remote blob URLs are DASH manifests
+                dash: streamUrl.startsWith('blob:') && !track.isLocal,
+                volume: this.getEffectiveVolume(replayGain),
+                replayGain,
+                fade: this.crossfadeManager?.getFadeDuration(this.currentTrack, track) || 0,
+                curve: this.crossfadeManager?.getCurve(),
+                key: track.id,
+                meta: { index, track, replayGain },
+            });
+        } catch (error) {
+            console.warn(`Could not prepare ${track.title} for gapless playback:`, error);
+            this.audio.cancelNext();
+        }
+    }
+
+    // The standby element took over at the track boundary (or the start of a crossfade), catch the
+    // queue and UI up with it
+    handleGaplessTransition({ index, track, replayGain }) {
+        const currentQueue = this.getCurrentQueue();
+        this.currentQueueIndex = currentQueue[index] === track ? index : currentQueue.indexOf(track);
+        this.currentTrack = track;
+        this.currentRgValues = replayGain;
+        this.applyReplayGain();
+        this.saveQueueState();
+
+        this.updateNowPlaying(track);
+        this.updateMediaSession(track);
+        this.preloadNextTracks();
     }
 
     async playTrackFromQueue(startTime = 0) {
@@ -303,6 +561,53 @@ export class Player {
 
         this.currentTrack = track;
 
+        this.updateNowPlaying(track);
+        const trackTitle = getTrackTitle(track);
+
+        try {
+            let streamUrl;
+
+            if (track.isLocal && track.file) {
+                streamUrl = this.preloadCache.get(track.id);
+                if (!streamUrl) {
+                    streamUrl = URL.createObjectURL(track.file);
+                    this.cacheStream(track.id, streamUrl);
+                }
+                this.currentRgValues = null; // No replaygain for local files yet
+                this.applyReplayGain();
+
+                await this.audio.load(streamUrl, { startTime });
+            } else {
+                // A preloaded stream is used as is, resolving it again would make another DASH blob URL
+                streamUrl = this.preloadCache.get(track.id);
+                let replayGain = this.preloadReplayGain.get(track.id) || null;
+                if (!streamUrl) {
+                    // Try to get track data with quality fallback
+                    const { streamInfo } = await this.getTrackWithFallback(track);
+                    streamUrl = streamInfo.streamUrl;
+                    replayGain = streamInfo.replayGain || null;
+                    this.cacheStream(track.id, streamUrl, replayGain);
+                }
+
+                this.currentRgValues = replayGain;
+                this.applyReplayGain();
+
+                // Blob URLs here are likely DASH manifests
+                await this.audio.load(streamUrl, { dash: streamUrl.startsWith('blob:'), startTime });
+            }
+
+            // Update Media Session AFTER play starts to ensure metadata is captured
+            this.updateMediaSession(track);
+            this.updateMediaSessionPlaybackState();
+            this.preloadNextTracks();
+        } catch (error) {
+            console.error(`Could not play track: ${trackTitle}`, error);
+            // Skip to next track on error
+            this.playNext();
+        }
+    }
+
+    updateNowPlaying(track) {
         const trackTitle = getTrackTitle(track);
         const trackArtistsHTML = getTrackArtistsHTML(track);
 
@@ -338,83 +643,6 @@ export class Player {
         document.title = `${trackTitle} • ${getTrackArtists(track)}`;
 
         this.updatePlayingTrackIndicator();
-
-        try {
-            let streamUrl;
-
-            if (track.isLocal && track.file) {
-                if (this.dashInitialized) {
-                    this.dashPlayer.reset(); // Ensure dash is off
-                    this.dashInitialized = false;
-                }
-                streamUrl = URL.createObjectURL(track.file);
-                this.currentRgValues = null; // No replaygain for local files yet
-                this.applyReplayGain();
-
-                this.audio.src = streamUrl;
-                if (startTime > 0) {
-                    this.audio.currentTime = startTime;
-                }
-                await this.audio.play();
-            } else {
-                // Try to get track data with quality fallback
-                const { trackData } = await this.getTrackWithFallback(track.id);
-
-                if (trackData && trackData.info) {
-                    this.currentRgValues = {
-                        trackReplayGain: trackData.info.trackReplayGain,
-                        trackPeakAmplitude: trackData.info.trackPeakAmplitude,
-                        albumReplayGain: trackData.info.albumReplayGain,
-                        albumPeakAmplitude: trackData.info.albumPeakAmplitude,
-                    };
-                } else {
-                    this.currentRgValues = null;
-                }
-                this.applyReplayGain();
-
-                if (this.preloadCache.has(track.id)) {
-                    streamUrl = this.preloadCache.get(track.id);
-                } else if (trackData.originalTrackUrl) {
-                    streamUrl = trackData.originalTrackUrl;
-                } else {
-                    streamUrl = this.api.extractStreamUrlFromManifest(trackData.info.manifest);
-                }
-
-                // Handle playback
-                if (streamUrl && streamUrl.startsWith('blob:') && !track.isLocal) {
-                    // It's likely a DASH manifest blob URL
-                    if (this.dashInitialized) {
-                        this.dashPlayer.attachSource(streamUrl);
-                    } else {
-                        this.dashPlayer.initialize(this.audio, streamUrl, true);
-                        this.dashInitialized = true;
-                    }
-
-                    if (startTime > 0) {
-                        this.dashPlayer.seek(startTime);
-                    }
-                } else {
-                    if (this.dashInitialized) {
-                        this.dashPlayer.reset();
-                        this.dashInitialized = false;
-                    }
-                    this.audio.src = streamUrl;
-                    if (startTime > 0) {
-                        this.audio.currentTime = startTime;
-                    }
-                    await this.audio.play();
-                }
-            }
-
-            // Update Media Session AFTER play starts to ensure metadata is captured
-            this.updateMediaSession(track);
-            this.updateMediaSessionPlaybackState();
-            this.preloadNextTracks();
-        } catch (error) {
-            console.error(`Could not play track: ${trackTitle}`, error);
-            // Skip to next track on error
-            this.playNext();
-        }
     }
 
     playAtIndex(index) {
@@ -454,6 +682,8 @@ export class Player {
                 return this.playNext(recursiveCount + 1);
             }
         } else {
+            // The suggestions may still be loading
+            this.extendAutoplay().then((added) => added && this.playNext());
             return;
         }
 
@@ -517,58 +747,111 @@ export class Player {
         this.updateMediaSessionPositionState();
     }
 
-    toggleShuffle() {
-        this.shuffleActive = !this.shuffleActive;
+    async toggleShuffle() {
+        if (!this.shuffleActive) {
+            await this.shuffle();
+            return;
+        }
 
-        if (this.shuffleActive) {
-            this.originalQueueBeforeShuffle = [...this.queue];
-            const currentTrack = this.queue[this.currentQueueIndex];
+        const currentTrack = this.shuffledQueue[this.currentQueueIndex];
+        this.shuffleActive = false;
+        this.queue = [...this.originalQueueBeforeShuffle];
+        this.currentQueueIndex = this.queue.findIndex((t) => t.id === currentTrack?.id);
 
-            const tracksToShuffle = [...this.queue];
-            if (currentTrack && this.currentQueueIndex >= 0) {
-                tracksToShuffle.splice(this.currentQueueIndex, 1);
-            }
+        this.clearPreloadCache();
+        this.preloadNextTracks();
+        this.saveQueueState();
+    }
 
-            tracksToShuffle.sort(() => Math.random() - 0.5);
+    // Shuffles the queue as it was before shuffling, starting from the current track. The same queue,
+    // mode and seed always give the same order
+    async shuffle({ mode = this.shuffleMode, seed = createShuffleSeed() } = {}) {
+        const weight = mode === 'weighted' ? await this.getShuffleWeight() : undefined;
 
-            if (currentTrack) {
-                this.shuffledQueue = [currentTrack, ...tracksToShuffle];
-                this.currentQueueIndex = 0;
-            } else {
-                this.shuffledQueue = tracksToShuffle;
-                this.currentQueueIndex = -1;
-            }
-        } else {
-            const currentTrack = this.shuffledQueue[this.currentQueueIndex];
-            this.queue = [...this.originalQueueBeforeShuffle];
-            this.currentQueueIndex = this.queue.findIndex((t) => t.id === currentTrack?.id);
-        }
+        // Suggestions are made for the queue's order, they're fetched again for the new one
+        this.removeUpcomingAutoplay();
+        const source = this.shuffleActive ? this.originalQueueBeforeShuffle : [...this.queue];
+        const currentTrack = this.getCurrentQueue()[this.currentQueueIndex];
+        const lead = currentTrack ? source.findIndex((t) => t.id === currentTrack.id) : -1;
 
-        this.preloadCache.clear();
+        this.originalQueueBeforeShuffle = source;
+        this.shuffledQueue = shuffleTracks(source, { mode, seed, weight, lead });
+        this.currentQueueIndex = lead === -1 ? -1 : this.shuffledQueue.indexOf(source[lead]);
+        this.shuffleActive = true;
+        this.shuffleMode = mode;
+        this.shuffleSeed = seed;
+
+        this.clearPreloadCache();
         this.preloadNextTracks();
         this.saveQueueState();
     }
 
+    // Liked tracks and the ones played more often come up earlier in the weighted shuffle
+    async getShuffleWeight() {
+        let liked = new Set();
+        try {
+            liked = new Set((await db.getFavorites('track')).map((t) => t.id));
+        } catch (error) {
+            console.warn('Failed to load liked tracks for shuffle:', error);
+        }
+        const { trackPlays } = new ListeningStats().getPlaySignals();
+        return (track) => 1 + Math.log2(1 + (trackPlays[track.id] || 0)) + (liked.has(track.id) ? 2 : 0);
+    }
+
+    // Picks the strategy for the next shuffle, reshuffling right away if the queue is shuffled
+    async setShuffleMode(mode) {
+        if (!isShuffleMode(mode)) return;
+        if (this.shuffleActive) {
+            await this.shuffle({ mode });
+        } else {
+            this.shuffleMode = mode;
+            this.saveQueueState();
+        }
+    }
+
+    // A code that reproduces the current shuffle on the same queue, null when not shuffled or the mode
+    // can't be reproduced elsewhere
+    getShuffleCode() {
+        if (!this.shuffleActive || !this.shuffleSeed || !isShareableShuffleMode(this.shuffleMode)) return null;
+        return formatShuffleCode(this.shuffleMode, this.shuffleSeed);
+    }
+
+    async applyShuffleCode(code) {
+        const parsed = parseShuffleCode(code);
+        if (!parsed) return false;
+        await this.shuffle(parsed);
+        return true;
+    }
+
     toggleRepeat() {
         this.repeatMode = (this.repeatMode + 1) % 3;
         this.saveQueueState();
+        this.extendAutoplay();
+        this.prepareGaplessNext();
         return this.repeatMode;
     }
 
     setQueue(tracks, startIndex = 0) {
+        if (this.getCurrentQueue().length > 0) this.recordQueueChange();
+        this.savedQueueId = null;
         this.queue = tracks;
         this.currentQueueIndex = startIndex;
         this.shuffleActive = false;
-        this.preloadCache.clear();
+        this.clearPreloadCache();
         this.saveQueueState();
     }
 
     addToQueue(track) {
-        this.queue.push(track);
+        // Queued tracks go ahead of the autoplay suggestions
+        const index = this.getAutoplayStart();
+        this.getCurrentQueue().splice(index, 0, track);
+        if (this.shuffleActive) this.originalQueueBeforeShuffle.push(track);
 
         if (!this.currentTrack || this.currentQueueIndex === -1) {
-            this.currentQueueIndex = this.queue.length - 1;
+            this.currentQueueIndex = index;
             this.playTrackFromQueue();
+        } else {
+            this.prepareGaplessNext();
         }
         this.saveQueueState();
     }
@@ -595,6 +878,8 @@ export class Player {
 
     removeFromQueue(index) {
         const currentQueue = this.shuffleActive ? this.shuffledQueue : this.queue;
+        if (index < 0 || index >= currentQueue.length) return;
+        this.recordQueueChange();
 
         // If removing current track
         if (index === this.currentQueueIndex) {
@@ -622,22 +907,29 @@ export class Player {
     }
 
     clearQueue() {
+        if (this.getCurrentQueue().length > 0) this.recordQueueChange();
+        this.savedQueueId = null;
         this.queue = [];
         this.shuffledQueue = [];
         this.originalQueueBeforeShuffle = [];
         this.currentQueueIndex = -1;
-        this.preloadCache.clear();
+        this.clearPreloadCache();
+        this.audio.cancelNext();
         this.saveQueueState();
     }
 
-    moveInQueue(fromIndex, toIndex) {
+    // record is off for callers that already recorded the change
+    moveInQueue(fromIndex, toIndex, { record = true } = {}) {
         const currentQueue = this.shuffleActive ? this.shuffledQueue : this.queue;
 
         if (fromIndex < 0 || fromIndex >= currentQueue.length) return;
         if (toIndex < 0 || toIndex >= currentQueue.length) return;
+        if (record && fromIndex !== toIndex) this.recordQueueChange();
 
         const [track] = currentQueue.splice(fromIndex, 1);
         currentQueue.splice(toIndex, 0, track);
+        // Dragging a suggestion in among the queued tracks keeps it
+        if (track.isAutoplay && toIndex < this.getAutoplayStart()) delete track.isAutoplay;
 
         if (this.currentQueueIndex === fromIndex) {
             this.currentQueueIndex = toIndex;
@@ -647,12 +939,109 @@ export class Player {
             this.currentQueueIndex++;
         }
         this.saveQueueState();
+        this.prepareGaplessNext();
     }
 
     getCurrentQueue() {
         return this.shuffleActive ? this.shuffledQueue : this.queue;
     }
 
+    // Index where the autoplay suggestions that haven't played yet begin, they're always the last
+    // items in the queue. The queue's length when there are none
+    getAutoplayStart() {
+        const currentQueue = this.getCurrentQueue();
+        let start = currentQueue.length;
+        while (start > this.currentQueueIndex + 1 && currentQueue[start - 1].isAutoplay) start--;
+        return start;
+    }
+
+    // Tops the queue up with suggestions based on its last items once it's about to run out. Resolves
+    // to whether anything was added
+    extendAutoplay() {
+        if (this.autoplayRequest) return this.autoplayRequest;
+
+        const currentQueue = this.getCurrentQueue();
+        const last = currentQueue[currentQueue.length - 1];
+        const remaining = currentQueue.length - 1 - this.currentQueueIndex;
+        if (
+            !autoplaySettings.isEnabled() ||
+            this.repeatMode !== REPEAT_MODE.OFF ||
+            !last ||
+            this.currentQueueIndex < 0 ||
+            remaining > AUTOPLAY_LOOKAHEAD ||
+            this.autoplayDeclinedAfter === last.id
+        ) {
+            return Promise.resolve(false);
+        }
+
+        this.autoplayRequest = buildContinuation(this.api, currentQueue, { exclude: currentQueue.map((t) => t.id) })
+            .then((tracks) => {
+                // The queue was replaced or autoplay turned off while the suggestions were loading
+                if (this.getCurrentQueue() !== currentQueue || !autoplaySettings.isEnabled()) return false;
+                if (tracks.length === 0) {
+                    this.autoplayDeclinedAfter = last.id;
+                    return false;
+                }
+
+                const suggestions = tracks.map((track) => ({ ...track, isAutoplay: true }));
+                currentQueue.push(...suggestions);
+                if (this.shuffleActive) this.originalQueueBeforeShuffle.push(...suggestions);
+                this.saveQueueState();
+                this.preloadNextTracks();
+                window.renderQueueFunction?.();
+                return true;
+            })
+            .catch((error) => {
+                console.warn('Autoplay failed:', error);
+                return false;
+            })
+            .finally(() => {
+                this.autoplayRequest = null;
+            });
+        return this.autoplayRequest;
+    }
+
+    removeUpcomingAutoplay() {
+        const removed = this.getCurrentQueue().splice(this.getAutoplayStart());
+        if (this.shuffleActive && removed.length > 0) {
+            this.originalQueueBeforeShuffle = this.originalQueueBeforeShuffle.filter((t) => !removed.includes(t));
+        }
+        return removed;
+    }
+
+    // Drops the suggestions that haven't played, autoplay doesn't come back until the queue changes
+    clearAutoplay() {
+        if (this.removeUpcomingAutoplay().length === 0) return;
+        this.autoplayDeclinedAfter = this.getCurrentQueue().at(-1)?.id ?? null;
+        this.saveQueueState();
+        this.prepareGaplessNext();
+    }
+
+    // Turns a suggestion into a regular queue item, moved up to the end of the queued tracks
+    promoteAutoplay(index) {
+        const track = this.getCurrentQueue()[index];
+        if (!track?.isAutoplay) return;
+        const target = this.getAutoplayStart();
+        // Recorded while the track is still a suggestion, undo turns it back into one
+        this.recordQueueChange();
+        delete track.isAutoplay;
+        this.moveInQueue(index, target, { record: false });
+    }
+
+    setAutoplay(enabled) {
+        autoplaySettings.setEnabled(enabled);
+        this.autoplayDeclinedAfter = null;
+        if (enabled) {
+            this.extendAutoplay();
+            return;
+        }
+
+        this.removeUpcomingAutoplay();
+        this.saveQueueState();
+        this.prepareGaplessNext();
+        window.renderQueueFunction?.();
+    }
+
     getNextTrack() {
         const currentQueue = this.getCurrentQueue();
         if (this.currentQueueIndex === -1 || currentQueue.length === 0) return null;
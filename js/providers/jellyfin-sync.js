@@ -0,0 +1,216 @@
+//js/providers/jellyfin-sync.js
+import { db } from '../db.js';
+import { jellyfinSettings } from '../storage.js';
+import { syncManager } from '../accounts/pocketbase.js';
+import { showNotification } from '../downloads.js';
+import { escapeHtml } from '../utils.js';
+
+const LINKS_KEY = 'jellyfin-playlist-links';
+
+// Two-way sync between Jellyfin playlists and local user_playlists.
+// Local changes are pushed as they happen (db dispatches `sync-playlist-change`), remote changes
+// are pulled by syncAll(). Links are kept as { [localId]: { remoteId, syncedAt } } in the settings
+// store so deletes can still be mapped after the local playlist is gone.
+// Linked playlists may also hold tracks from other sources, those stay local and are kept in place
+// when remote changes come in.
+const jellyfinSync = {
+    provider: null,
+    _links: null,
+    _queue: Promise.resolve(),
+    // Playlists pull() just wrote, their change events aren't pushed back
+    _pulled: new Set(),
+
+    init(api) {
+        this.provider = api.getProvider('jellyfin');
+
+        window.addEventListener('sync-playlist-change', (e) => {
+            const { action, playlist } = e.detail;
+            this.enqueue(() => this.push(playlist, action));
+        });
+
+        if (jellyfinSettings.isConfigured()) {
+            this.syncAll().catch((error) => console.warn('Jellyfin playlist sync failed:', error));
+        }
+    },
+
+    // Remote calls for one playlist depend on the previous ones, run everything in order
+    enqueue(task) {
+        const run = this._queue.then(task);
+        this._queue = run.catch((error) => console.warn('Jellyfin playlist sync failed:', error));
+        return run;
+    },
+
+    async getLinks() {
+        if (!this._links) {
+            this._links = (await db.getSetting(LINKS_KEY)) || {};
+        }
+        return this._links;
+    },
+
+    async saveLinks() {
+        await db.saveSetting(LINKS_KEY, this._links || {});
+    },
+
+    async clearLinks() {
+        this._links = {};
+        await this.saveLinks();
+    },
+
+    isJellyfinTrack(track) {
+        return track?.source === 'jellyfin' || this.provider.ownsId(track?.id);
+    },
+
+    async push(playlist, action) {
+        if (this._pulled.delete(playlist.id)) return;
+        if (!this.provider?.isEnabled()) return;
+        const links = await this.getLinks();
+        const link = links[playlist.id];
+
+        if (action === 'delete') {
+            if (!link) return;
+            delete links[playlist.id];
+            await this.saveLinks();
+            await this.provider.deletePlaylist(link.remoteId);
+            return;
+        }
+
+        const tracks = playlist.tracks || [];
+        if (!link) {
+            // Only playlists made entirely of library tracks can live on the server
+            if (tracks.length === 0 || !tracks.every((t) => this.isJellyfinTrack(t))) return;
+
+            const remoteId = await this.provider.createPlaylist(
+                playlist.name,
+                tracks.map((t) => t.id)
+            );
+            links[playlist.id] = { remoteId, syncedAt: Date.now() };
+            await this.saveLinks();
+            return;
+        }
+
+        await this.reconcile(link.remoteId, playlist);
+        link.syncedAt = Date.now();
+        await this.saveLinks();
+    },
+
+    // Makes the remote playlist match the local one: removals, additions, order, then name
+    async reconcile(remoteId, playlist) {
+        const wanted = (playlist.tracks || []).filter((t) => this.isJellyfinTrack(t)).map((t) => t.id);
+        let remote = await this.provider.fetchPlaylist(remoteId);
+
+        const remaining = [...wanted];
+        const staleEntries = [];
+        remote.tracks.forEach((track, i) => {
+            const index = remaining.indexOf(track.id);
+            if (index === -1) {
+                staleEntries.push(remote.entryIds[i]);
+            } else {
+                remaining.splice(index, 1);
+            }
+        });
+
+        await this.provider.removeFromPlaylist(remoteId, staleEntries);
+        await this.provider.addToPlaylist(remoteId, remaining);
+
+        if (staleEntries.length > 0 || remaining.length > 0) {
+            remote = await this.provider.fetchPlaylist(remoteId);
+        }
+
+        const order = remote.tracks.map((t, i) => ({ id: t.id, entryId: remote.entryIds[i] }));
+        for (let i = 0; i < wanted.length && i < order.length; i++) {
+            if (order[i].id === wanted[i]) continue;
+            const from = order.findIndex((entry, j) => j > i && entry.id === wanted[i]);
+            if (from === -1) continue;
+
+            await this.provider.movePlaylistEntry(remoteId, order[from].entryId, i);
+            order.splice(i, 0, ...order.splice(from, 1));
+        }
+
+        if (remote.playlist.title !== playlist.name) {
+            await this.provider.renamePlaylist(remoteId, playlist.name);
+        }
+    },
+
+    // Jellyfin tracks take the remote order and membership, the slots of removed ones close up and
+    // new ones go at the end. Tracks from other sources keep their place
+    mergeTracks(localTracks, remoteTracks) {
+        const incoming = [...remoteTracks];
+        const merged = [];
+        for (const track of localTracks) {
+            if (!this.isJellyfinTrack(track)) {
+                merged.push(track);
+            } else if (incoming.length > 0) {
+                merged.push(incoming.shift());
+            }
+        }
+        return [...merged, ...incoming];
+    },
+
+    syncAll() {
+        return this.enqueue(() => this.pull());
+    },
+
+    async pull() {
+        if (!this.provider?.isEnabled()) return;
+
+        const links = await this.getLinks();
+        const remotePlaylists = await this.provider.getPlaylists();
+        const remoteIds = new Set(remotePlaylists.map((p) => this.provider.toId(p.Id)));
+        const localByRemote = new Map(Object.entries(links).map(([localId, link]) => [link.remoteId, localId]));
+        let changed = false;
+
+        for (const [localId, link] of Object.entries(links)) {
+            if (remoteIds.has(link.remoteId)) continue;
+            delete links[localId];
+            changed = true;
+
+            // The local copy may hold tracks that never were on the server, it's kept and only unlinked
+            const local = await db.getPlaylist(localId);
+            if (local) {
+                showNotification(`"${escapeHtml(local.name)}" was deleted from Jellyfin, the local copy was kept`);
+            }
+        }
+
+        for (const item of remotePlaylists) {
+            const remoteId = this.provider.toId(item.Id);
+            const localId = localByRemote.get(remoteId);
+            const local = localId ? await db.getPlaylist(localId) : null;
+
+            // Local edits made while the server was unreachable win over the remote copy
+            if (local && local.updatedAt > links[localId].syncedAt) {
+                await this.reconcile(remoteId, local);
+                links[localId].syncedAt = Date.now();
+                continue;
+            }
+
+            const remote = await this.provider.fetchPlaylist(remoteId);
+            const remoteTracks = remote.tracks.map((t) => db.minifyTrack(t));
+            let playlist;
+
+            if (local) {
+                const tracks = this.mergeTracks(local.tracks || [], remoteTracks);
+                const sameTracks =
+                    tracks.length === (local.tracks || []).length &&
+                    tracks.every((t, i) => t.id === local.tracks[i].id);
+                if (sameTracks && local.name === remote.playlist.title) continue;
+
+                playlist = await db.updatePlaylist({ ...local, name: remote.playlist.title, tracks });
+                syncManager.syncUserPlaylist(playlist, 'update');
+            } else {
+                playlist = await db.createPlaylist(remote.playlist.title, remoteTracks);
+                syncManager.syncUserPlaylist(playlist, 'create');
+            }
+            this._pulled.add(playlist.id);
+
+            links[playlist.id] = { remoteId, syncedAt: playlist.updatedAt };
+            changed = true;
+        }
+
+        await this.saveLinks();
+        if (changed) {
+            window.dispatchEvent(new CustomEvent('library-changed'));
+        }
+    },
+};
+
+export { jellyfinSync };
@@ -0,0 +1,462 @@
+//js/providers/jellyfin.js
+import { jellyfinSettings } from '../storage.js';
+import { MusicProvider } from './provider.js';
+
+const SEARCH_LIMIT = 50;
+const TICKS_PER_SECOND = 10000000;
+const ITEM_FIELDS = 'MediaSources,DateCreated,ChildCount,Overview';
+// Stands in for artwork of saved items once the server is disconnected
+const DISCONNECTED_COVER = 'assets/appicon.png';
+
+// Transcoding target for each container choice in settings
+const CONTAINERS = {
+    flac: { container: 'flac', codec: 'flac' },
+    mp3: { container: 'mp3', codec: 'mp3' },
+    aac: { container: 'aac', codec: 'aac' },
+    opus: { container: 'ogg', codec: 'opus' },
+};
+
+const MAX_BITRATES = {
+    HI_RES_LOSSLESS: 140000000,
+    LOSSLESS: 140000000,
+    HIGH: 320000,
+    LOW: 128000,
+};
+
+const LOSSLESS_CONTAINERS = ['flac', 'alac', 'wav', 'aiff', 'ape', 'wv'];
+
+// Jellyfin music libraries. Like the Subsonic provider, ids are prefixed with `jellyfin:` so
+// pages, covers and streams route back here without extra state in the UI
+export class JellyfinProvider extends MusicProvider {
+    constructor({ cache }) {
+        super('jellyfin', 'Jellyfin');
+        this.cache = cache;
+    }
+
+    isEnabled() {
+        return jellyfinSettings.isConfigured();
+    }
+
+    ownsId(id) {
+        return typeof id === 'string' && id.startsWith(`${this.id}:`);
+    }
+
+    toId(rawId) {
+        return rawId === undefined || rawId === null ? null : `${this.id}:${rawId}`;
+    }
+
+    fromId(id) {
+        return this.ownsId(id) ? id.slice(this.id.length + 1) : String(id);
+    }
+
+    getConfig() {
+        const config = jellyfinSettings.get();
+        if (!config) throw new Error('Jellyfin server is not configured');
+        return config;
+    }
+
+    buildUrl(path, params = {}, config = this.getConfig()) {
+        const query = new URLSearchParams(params);
+        const base = config.url.replace(/\/+$/, '');
+        const queryString = query.toString();
+        return queryString ? `${base}${path}?${queryString}` : `${base}${path}`;
+    }
+
+    async request(path, params = {}, options = {}) {
+        const config = options.config || this.getConfig();
+        const response = await fetch(this.buildUrl(path, params, config), {
+            method: options.method || 'GET',
+            headers: {
+                'X-Emby-Token': config.apiKey,
+                ...(options.body ? { 'Content-Type': 'application/json' } : {}),
+            },
+            body: options.body ? JSON.stringify(options.body) : undefined,
+            signal: options.signal,
+        });
+
+        if (!response.ok) {
+            throw new Error(`Request failed with status ${response.status}`);
+        }
+
+        if (response.status === 204) return null;
+        const text = await response.text();
+        return text ? JSON.parse(text) : null;
+    }
+
+    // API keys aren't bound to a user, so library queries need an explicit user id
+    async resolveUser(config) {
+        const users = await this.request('/Users', {}, { config });
+        if (!Array.isArray(users) || users.length === 0) {
+            throw new Error('No users found on the Jellyfin server');
+        }
+
+        if (config.username) {
+            const match = users.find((u) => u.Name?.toLowerCase() === config.username.toLowerCase());
+            if (!match) throw new Error(`User "${config.username}" not found`);
+            return match;
+        }
+
+        return users.find((u) => u.Policy?.IsAdministrator) || users[0];
+    }
+
+    // Cache lookup and in-flight coalescing around a single server call
+    cached(type, params, loader, signal) {
+        return this.cache.cached(type, params, loader, signal);
+    }
+
+    getItems(params = {}, options = {}) {
+        const { userId } = this.getConfig();
+        return this.request('/Items', { userId, fields: ITEM_FIELDS, ...params }, options).then(
+            (data) => data?.Items || []
+        );
+    }
+
+    deriveQuality(item) {
+        const source = item.MediaSources?.[0];
+        const stream = source?.MediaStreams?.find((s) => s.Type === 'Audio');
+        const container = (source?.Container || item.Container || '').toLowerCase();
+        const codec = (stream?.Codec || '').toLowerCase();
+
+        if (LOSSLESS_CONTAINERS.includes(container) || LOSSLESS_CONTAINERS.includes(codec)) {
+            return stream?.BitDepth > 16 || stream?.SampleRate > 48000 ? 'HI_RES_LOSSLESS' : 'LOSSLESS';
+        }
+        return (stream?.BitRate || source?.Bitrate || 0) >= 256000 ? 'HIGH' : 'LOW';
+    }
+
+    releaseDate(item) {
+        if (item.PremiereDate) return item.PremiereDate.split('T')[0];
+        return item.ProductionYear ? `${item.ProductionYear}-01-01` : null;
+    }
+
+    prepareArtists(items = []) {
+        return items.map((a) => ({ id: this.toId(a.Id), name: a.Name, source: this.id }));
+    }
+
+    prepareTrack(item) {
+        const artists = this.prepareArtists(item.ArtistItems?.length ? item.ArtistItems : item.AlbumArtists);
+        const coverId = item.AlbumPrimaryImageTag ? item.AlbumId : item.ImageTags?.Primary ? item.Id : null;
+
+        return {
+            id: this.toId(item.Id),
+            source: this.id,
+            title: item.Name,
+            duration: item.RunTimeTicks ? item.RunTimeTicks / TICKS_PER_SECOND : 0,
+            trackNumber: item.IndexNumber || null,
+            volumeNumber: item.ParentIndexNumber || 1,
+            explicit: false,
+            artist: artists[0] || null,
+            artists,
+            album: {
+                id: this.toId(item.AlbumId),
+                title: item.Album || null,
+                cover: this.toId(coverId),
+                releaseDate: this.releaseDate(item),
+                source: this.id,
+            },
+            audioQuality: this.deriveQuality(item),
+            isUnavailable: false,
+        };
+    }
+
+    prepareAlbum(item) {
+        const artists = this.prepareArtists(item.AlbumArtists?.length ? item.AlbumArtists : item.ArtistItems);
+
+        return {
+            id: this.toId(item.Id),
+            source: this.id,
+            title: item.Name,
+            cover: item.ImageTags?.Primary ? this.toId(item.Id) : null,
+            artist: artists[0] || null,
+            artists,
+            releaseDate: this.releaseDate(item),
+            numberOfTracks: item.ChildCount || 0,
+            duration: item.RunTimeTicks ? item.RunTimeTicks / TICKS_PER_SECOND : 0,
+            type: (item.ChildCount || 0) <= 3 ? 'SINGLE' : 'ALBUM',
+            explicit: false,
+        };
+    }
+
+    prepareArtist(item) {
+        return {
+            id: this.toId(item.Id),
+            source: this.id,
+            name: item.Name || 'Unknown Artist',
+            picture: item.ImageTags?.Primary ? this.toId(item.Id) : null,
+            type: 'ARTIST',
+        };
+    }
+
+    preparePlaylist(item) {
+        return {
+            uuid: this.toId(item.Id),
+            source: this.id,
+            title: item.Name,
+            description: item.Overview || '',
+            image: item.ImageTags?.Primary ? this.toId(item.Id) : null,
+            numberOfTracks: item.ChildCount || 0,
+        };
+    }
+
+    async search(query, type = 'tracks', options = {}) {
+        const { offset = 0, limit = SEARCH_LIMIT } = options;
+        const empty = { items: [], limit: 0, offset, totalNumberOfItems: 0 };
+
+        // Year filters from the search syntax can be applied by the server, the rest stays client-side
+        const year = type === 'tracks' || type === 'albums' ? options.filters?.year : null;
+        const dates = {};
+        if (year?.min) dates.minPremiereDate = `${year.min}-01-01T00:00:00Z`;
+        if (year?.max) dates.maxPremiereDate = `${year.max}-12-31T23:59:59Z`;
+
+        try {
+            const { items, total } = await this.cached(
+                `jellyfin_search_${type}`,
+                { query, offset, limit, ...dates },
+                async (signal) => {
+                    const { userId } = this.getConfig();
+                    const page = { searchTerm: query, startIndex: offset, limit, ...dates };
+
+                    if (type === 'artists') {
+                        const data = await this.request('/Artists', { userId, ...page }, { signal });
+                        return {
+                            items: (data?.Items || []).map((a) => this.prepareArtist(a)),
+                            total: data?.TotalRecordCount ?? 0,
+                        };
+                    }
+
+                    const itemType = { albums: 'MusicAlbum', playlists: 'Playlist' }[type] || 'Audio';
+                    const data = await this.request(
+                        '/Items',
+                        { userId, fields: ITEM_FIELDS, includeItemTypes: itemType, recursive: true, ...page },
+                        { signal }
+                    );
+                    const results = data?.Items || [];
+                    const prepare =
+                        {
+                            albums: (a) => this.prepareAlbum(a),
+                            playlists: (p) => this.preparePlaylist(p),
+                        }[type] || ((t) => this.prepareTrack(t));
+
+                    return { items: results.map(prepare), total: data?.TotalRecordCount ?? 0 };
+                },
+                options.signal
+            );
+
+            return { items, limit, offset, totalNumberOfItems: total };
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.error('Jellyfin search failed:', error);
+            return empty;
+        }
+    }
+
+    getAlbum(id) {
+        return this.cached('jellyfin_album', id, async () => {
+            const rawId = this.fromId(id);
+            const [albums, tracks] = await Promise.all([
+                this.getItems({ ids: rawId }),
+                this.getItems({
+                    parentId: rawId,
+                    includeItemTypes: 'Audio',
+                    sortBy: 'ParentIndexNumber,IndexNumber,SortName',
+                }),
+            ]);
+            if (!albums[0]) throw new Error('Album not found');
+
+            return {
+                album: this.prepareAlbum(albums[0]),
+                tracks: tracks.map((t) => this.prepareTrack(t)),
+            };
+        });
+    }
+
+    getArtist(id) {
+        return this.cached('jellyfin_artist', id, async () => {
+            const rawId = this.fromId(id);
+            const [artists, releases, topTracks] = await Promise.all([
+                this.getItems({ ids: rawId }),
+                this.getItems({
+                    albumArtistIds: rawId,
+                    includeItemTypes: 'MusicAlbum',
+                    recursive: true,
+                    sortBy: 'PremiereDate,ProductionYear,SortName',
+                    sortOrder: 'Descending',
+                }),
+                this.getItems({
+                    artistIds: rawId,
+                    includeItemTypes: 'Audio',
+                    recursive: true,
+                    sortBy: 'PlayCount',
+                    sortOrder: 'Descending',
+                    limit: 15,
+                }),
+            ]);
+            if (!artists[0]) throw new Error('Primary artist details not found.');
+
+            const all = releases.map((a) => this.prepareAlbum(a));
+            const eps = all.filter((a) => a.type === 'EP' || a.type === 'SINGLE');
+            const albums = all.filter((a) => !eps.includes(a));
+
+            return {
+                ...this.prepareArtist(artists[0]),
+                albums,
+                eps,
+                tracks: topTracks.map((t) => this.prepareTrack(t)),
+            };
+        });
+    }
+
+    getPlaylist(id) {
+        return this.cached('jellyfin_playlist', id, () => this.fetchPlaylist(id));
+    }
+
+    // Uncached, playlist sync needs the live entry ids
+    async fetchPlaylist(id) {
+        const rawId = this.fromId(id);
+        const { userId } = this.getConfig();
+        const [playlists, entries] = await Promise.all([
+            this.getItems({ ids: rawId }),
+            this.request(`/Playlists/${rawId}/Items`, { userId, fields: ITEM_FIELDS }),
+        ]);
+        if (!playlists[0]) throw new Error('Playlist not found');
+
+        const items = entries?.Items || [];
+        return {
+            playlist: this.preparePlaylist(playlists[0]),
+            tracks: items.map((t) => this.prepareTrack(t)),
+            entryIds: items.map((t) => t.PlaylistItemId),
+            dateLastSaved: playlists[0].DateLastSaved || playlists[0].DateCreated || null,
+        };
+    }
+
+    getPlaylists() {
+        return this.getItems({ includeItemTypes: 'Playlist', mediaTypes: 'Audio', recursive: true });
+    }
+
+    async createPlaylist(name, trackIds = []) {
+        const { userId } = this.getConfig();
+        const result = await this.request(
+            '/Playlists',
+            {},
+            {
+                method: 'POST',
+                body: { Name: name, Ids: trackIds.map((id) => this.fromId(id)), UserId: userId, MediaType: 'Audio' },
+            }
+        );
+        return this.toId(result.Id);
+    }
+
+    async addToPlaylist(playlistId, trackIds) {
+        if (trackIds.length === 0) return;
+        const { userId } = this.getConfig();
+        await this.request(
+            `/Playlists/${this.fromId(playlistId)}/Items`,
+            { ids: trackIds.map((id) => this.fromId(id)).join(','), userId },
+            { method: 'POST' }
+        );
+    }
+
+    async removeFromPlaylist(playlistId, entryIds) {
+        if (entryIds.length === 0) return;
+        await this.request(
+            `/Playlists/${this.fromId(playlistId)}/Items`,
+            { entryIds: entryIds.join(',') },
+            { method: 'DELETE' }
+        );
+    }
+
+    async movePlaylistEntry(playlistId, entryId, newIndex) {
+        await this.request(
+            `/Playlists/${this.fromId(playlistId)}/Items/${entryId}/Move/${newIndex}`,
+            {},
+            { method: 'POST' }
+        );
+    }
+
+    async renamePlaylist(playlistId, name) {
+        await this.request(`/Playlists/${this.fromId(playlistId)}`, {}, { method: 'POST', body: { Name: name } });
+    }
+
+    async deletePlaylist(playlistId) {
+        await this.request(`/Items/${this.fromId(playlistId)}`, {}, { method: 'DELETE' });
+    }
+
+    getTrackMetadata(id) {
+        return this.cached('jellyfin_track_info', id, async () => {
+            const items = await this.getItems({ ids: this.fromId(id) });
+            if (!items[0]) throw new Error('Track not found');
+            return this.prepareTrack(items[0]);
+        });
+    }
+
+    // People are Jellyfin person entries, not artists, so they link to a search rather than a page
+    async getCredits(track) {
+        const credits = this.getArtistCredits(track);
+        try {
+            const people = await this.cached('jellyfin_credits', track.id, async () => {
+                const items = await this.getItems({ ids: this.fromId(track.id), fields: `${ITEM_FIELDS},People` });
+                return (items[0]?.People || []).map((p) => ({ name: p.Name, role: p.Type || p.Role }));
+            });
+            const byRole = new Map();
+            for (const { name, role } of people) {
+                if (!name || !role) continue;
+                if (!byRole.has(role)) byRole.set(role, []);
+                byRole.get(role).push({ name, id: null });
+            }
+            byRole.forEach((contributors, role) => credits.push({ role, contributors }));
+        } catch (e) {
+            console.warn('Failed to fetch Jellyfin credits:', e);
+        }
+        return credits;
+    }
+
+    async getStreamInfo(id, quality = 'HI_RES_LOSSLESS') {
+        const config = this.getConfig();
+        const lossless = quality === 'HI_RES_LOSSLESS' || quality === 'LOSSLESS';
+
+        // A bitrate cap can't be honoured with FLAC, lossy qualities fall back to MP3
+        const target =
+            !lossless && config.container === 'flac' ? CONTAINERS.mp3 : CONTAINERS[config.container] || CONTAINERS.flac;
+
+        const streamUrl = this.buildUrl(
+            `/Audio/${this.fromId(id)}/universal`,
+            {
+                UserId: config.userId,
+                DeviceId: config.deviceId,
+                api_key: config.apiKey,
+                Container: target.container,
+                TranscodingContainer: target.container,
+                TranscodingProtocol: 'http',
+                AudioCodec: target.codec,
+                MaxStreamingBitrate: String(MAX_BITRATES[quality] || MAX_BITRATES.LOSSLESS),
+            },
+            config
+        );
+
+        // Jellyfin only exposes a per-track normalization gain, no peaks or album gain
+        let replayGain = null;
+        try {
+            const [item] = await this.getItems({ ids: this.fromId(id) });
+            if (item?.NormalizationGain !== undefined && item?.NormalizationGain !== null) {
+                replayGain = { trackReplayGain: item.NormalizationGain };
+            }
+        } catch (e) {
+            console.warn('Failed to fetch Jellyfin item details:', e);
+        }
+
+        return { streamUrl, replayGain };
+    }
+
+    getCoverUrl(id, size = '320') {
+        if (!id) {
+            return `https://picsum.photos/seed/${Math.random()}/${size}`;
+        }
+        const config = jellyfinSettings.get();
+        if (!config) return DISCONNECTED_COVER;
+        // Jellyfin serves item images without authentication, so the API key stays out of image URLs
+        return this.buildUrl(
+            `/Items/${this.fromId(id)}/Images/Primary`,
+            { fillWidth: String(size), fillHeight: String(size), quality: '90' },
+            config
+        );
+    }
+}
@@ -0,0 +1,418 @@
+//js/providers/subsonic.js
+import { subsonicSettings } from '../storage.js';
+import { MusicProvider } from './provider.js';
+
+const API_VERSION = '1.16.1';
+const CLIENT_NAME = 'multichrome';
+const SEARCH_LIMIT = 50;
+// Stands in for artwork of saved items once the server is disconnected
+const DISCONNECTED_COVER = 'assets/appicon.png';
+
+// Stream parameters per app quality. Lossless qualities get the original file
+const STREAM_FORMATS = {
+    HI_RES_LOSSLESS: { format: 'raw' },
+    LOSSLESS: { format: 'raw' },
+    HIGH: { format: 'mp3', maxBitRate: '320' },
+    LOW: { format: 'mp3', maxBitRate: '128' },
+};
+
+const LOSSLESS_SUFFIXES = ['flac', 'alac', 'wav', 'aiff', 'ape', 'wv'];
+
+// Subsonic / OpenSubsonic servers (Navidrome, Gonic, Airsonic...). Item ids are prefixed with
+// `subsonic:` so LosslessAPI can route album/artist/playlist pages and cover art back here
+export class SubsonicProvider extends MusicProvider {
+    constructor({ cache }) {
+        super('subsonic', 'Subsonic');
+        this.cache = cache;
+    }
+
+    isEnabled() {
+        return subsonicSettings.isConfigured();
+    }
+
+    ownsId(id) {
+        return typeof id === 'string' && id.startsWith(`${this.id}:`);
+    }
+
+    toId(rawId) {
+        return rawId === undefined || rawId === null ? null : `${this.id}:${rawId}`;
+    }
+
+    fromId(id) {
+        return this.ownsId(id) ? id.slice(this.id.length + 1) : String(id);
+    }
+
+    createCredentials(password) {
+        const salt = Array.from(crypto.getRandomValues(new Uint8Array(8)))
+            .map((b) => b.toString(16).padStart(2, '0'))
+            .join('');
+        return { salt, token: md5(password + salt) };
+    }
+
+    buildUrl(endpoint, params = {}) {
+        const config = subsonicSettings.get();
+        if (!config) throw new Error('Subsonic server is not configured');
+
+        const query = new URLSearchParams({
+            u: config.username,
+            t: config.token,
+            s: config.salt,
+            v: API_VERSION,
+            c: CLIENT_NAME,
+            f: 'json',
+            ...params,
+        });
+        return `${config.url.replace(/\/+$/, '')}/rest/${endpoint}.view?${query.toString()}`;
+    }
+
+    async request(endpoint, params = {}, options = {}) {
+        const response = await fetch(this.buildUrl(endpoint, params), { signal: options.signal });
+        if (!response.ok) {
+            throw new Error(`Request failed with status ${response.status}`);
+        }
+
+        const data = (await response.json())['subsonic-response'];
+        if (!data || data.status !== 'ok') {
+            throw new Error(data?.error?.message || 'Subsonic request failed');
+        }
+        return data;
+    }
+
+    ping() {
+        return this.request('ping');
+    }
+
+    // Cache lookup and in-flight coalescing around a single server call
+    cached(type, params, loader, signal) {
+        return this.cache.cached(type, params, loader, signal);
+    }
+
+    deriveQuality(song) {
+        const suffix = (song.suffix || '').toLowerCase();
+        if (LOSSLESS_SUFFIXES.includes(suffix)) {
+            return song.bitDepth > 16 || song.samplingRate > 48000 ? 'HI_RES_LOSSLESS' : 'LOSSLESS';
+        }
+        return song.bitRate >= 256 ? 'HIGH' : 'LOW';
+    }
+
+    releaseDate(item) {
+        const date = item.originalReleaseDate || item.releaseDate;
+        if (date?.year) {
+            const month = String(date.month || 1).padStart(2, '0');
+            const day = String(date.day || 1).padStart(2, '0');
+            return `${date.year}-${month}-${day}`;
+        }
+        return item.year ? `${item.year}-01-01` : null;
+    }
+
+    prepareArtists(item, fallbackId, fallbackName) {
+        if (Array.isArray(item.artists) && item.artists.length > 0) {
+            return item.artists.map((a) => ({ id: this.toId(a.id), name: a.name, source: this.id }));
+        }
+        if (!fallbackName) return [];
+        return [{ id: this.toId(fallbackId), name: fallbackName, source: this.id }];
+    }
+
+    prepareTrack(song) {
+        const artists = this.prepareArtists(song, song.artistId, song.artist);
+
+        return {
+            id: this.toId(song.id),
+            source: this.id,
+            title: song.title,
+            duration: song.duration || 0,
+            trackNumber: song.track || null,
+            volumeNumber: song.discNumber || 1,
+            explicit: song.explicitStatus === 'explicit',
+            isrc: Array.isArray(song.isrc) ? song.isrc[0] || null : song.isrc || null,
+            artist: artists[0] || null,
+            artists,
+            album: {
+                id: this.toId(song.albumId),
+                title: song.album || null,
+                cover: this.toId(song.coverArt),
+                releaseDate: this.releaseDate(song),
+                source: this.id,
+            },
+            audioQuality: this.deriveQuality(song),
+            isUnavailable: false,
+        };
+    }
+
+    prepareAlbum(album) {
+        const artists = this.prepareArtists(album, album.artistId, album.artist);
+        const releaseType = (album.releaseTypes?.[0] || 'album').toUpperCase();
+
+        return {
+            id: this.toId(album.id),
+            source: this.id,
+            title: album.name || album.title,
+            cover: this.toId(album.coverArt),
+            artist: artists[0] || null,
+            artists,
+            releaseDate: this.releaseDate(album),
+            numberOfTracks: album.songCount || 0,
+            duration: album.duration || 0,
+            type: ['EP', 'SINGLE', 'COMPILATION'].includes(releaseType) ? releaseType : 'ALBUM',
+            explicit: album.explicitStatus === 'explicit',
+        };
+    }
+
+    prepareArtist(artist) {
+        return {
+            id: this.toId(artist.id),
+            source: this.id,
+            name: artist.name || 'Unknown Artist',
+            picture: this.toId(artist.coverArt),
+            type: 'ARTIST',
+        };
+    }
+
+    preparePlaylist(playlist) {
+        return {
+            uuid: this.toId(playlist.id),
+            source: this.id,
+            title: playlist.name,
+            description: playlist.comment || '',
+            image: this.toId(playlist.coverArt),
+            numberOfTracks: playlist.songCount || 0,
+            duration: playlist.duration || 0,
+        };
+    }
+
+    async search(query, type = 'tracks', options = {}) {
+        const { offset = 0, limit = SEARCH_LIMIT } = options;
+        const empty = { items: [], limit: 0, offset, totalNumberOfItems: 0 };
+
+        try {
+            const items = await this.cached(
+                `subsonic_search_${type}`,
+                { query, offset, limit },
+                async (signal) => {
+                    if (type === 'playlists') {
+                        const data = await this.request('getPlaylists', {}, { signal });
+                        const needle = query.toLowerCase();
+                        return (data.playlists?.playlist || [])
+                            .filter((p) => p.name?.toLowerCase().includes(needle))
+                            .slice(offset, offset + limit)
+                            .map((p) => this.preparePlaylist(p));
+                    }
+
+                    const data = await this.request(
+                        'search3',
+                        {
+                            query,
+                            songCount: type === 'tracks' ? limit : 0,
+                            songOffset: type === 'tracks' ? offset : 0,
+                            albumCount: type === 'albums' ? limit : 0,
+                            albumOffset: type === 'albums' ? offset : 0,
+                            artistCount: type === 'artists' ? limit : 0,
+                            artistOffset: type === 'artists' ? offset : 0,
+                        },
+                        { signal }
+                    );
+                    const result = data.searchResult3 || {};
+
+                    if (type === 'artists') return (result.artist || []).map((a) => this.prepareArtist(a));
+                    if (type === 'albums') return (result.album || []).map((a) => this.prepareAlbum(a));
+                    return (result.song || []).map((s) => this.prepareTrack(s));
+                },
+                options.signal
+            );
+
+            // search3 doesn't report a total, a full page means there may be more
+            const total = offset + items.length + (items.length === limit ? 1 : 0);
+            return { items, limit, offset, totalNumberOfItems: total };
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.error('Subsonic search failed:', error);
+            return empty;
+        }
+    }
+
+    getAlbum(id) {
+        return this.cached('subsonic_album', id, async () => {
+            const data = await this.request('getAlbum', { id: this.fromId(id) });
+            if (!data.album) throw new Error('Album not found');
+
+            return {
+                album: this.prepareAlbum(data.album),
+                tracks: (data.album.song || []).map((s) => this.prepareTrack(s)),
+            };
+        });
+    }
+
+    getArtist(id) {
+        return this.cached('subsonic_artist', id, async () => {
+            const data = await this.request('getArtist', { id: this.fromId(id) });
+            if (!data.artist) throw new Error('Primary artist details not found.');
+
+            const artist = this.prepareArtist(data.artist);
+
+            const releases = (data.artist.album || [])
+                .map((a) => this.prepareAlbum(a))
+                .sort((a, b) => new Date(b.releaseDate || 0) - new Date(a.releaseDate || 0));
+            const eps = releases.filter((a) => a.type === 'EP' || a.type === 'SINGLE');
+            const albums = releases.filter((a) => !eps.includes(a));
+
+            let tracks = [];
+            try {
+                const top = await this.request('getTopSongs', { artist: artist.name, count: 15 });
+                tracks = (top.topSongs?.song || []).map((s) => this.prepareTrack(s));
+            } catch (e) {
+                console.warn('Failed to fetch Subsonic top songs:', e);
+            }
+
+            return { ...artist, albums, eps, tracks };
+        });
+    }
+
+    getPlaylist(id) {
+        return this.cached('subsonic_playlist', id, async () => {
+            const data = await this.request('getPlaylist', { id: this.fromId(id) });
+            if (!data.playlist) throw new Error('Playlist not found');
+
+            return {
+                playlist: this.preparePlaylist(data.playlist),
+                tracks: (data.playlist.entry || []).map((s) => this.prepareTrack(s)),
+            };
+        });
+    }
+
+    async getSimilarArtists(artistId) {
+        try {
+            const data = await this.request('getArtistInfo2', { id: this.fromId(artistId), count: 20 });
+            return (data.artistInfo2?.similarArtist || []).map((a) => this.prepareArtist(a));
+        } catch (e) {
+            console.warn('Failed to fetch similar artists:', e);
+            return [];
+        }
+    }
+
+    getSong(id) {
+        return this.cached('subsonic_song', id, async () => {
+            const data = await this.request('getSong', { id: this.fromId(id) });
+            return data.song;
+        });
+    }
+
+    async getTrackMetadata(id) {
+        const song = await this.getSong(id);
+        if (!song) throw new Error('Track not found');
+        return this.prepareTrack(song);
+    }
+
+    // Contributors are an OpenSubsonic extension, plain servers only report a composer, if that
+    async getCredits(track) {
+        const credits = this.getArtistCredits(track);
+        try {
+            const song = await this.getSong(track.id);
+            const byRole = new Map();
+            for (const { role, subRole, artist } of song?.contributors || []) {
+                if (!artist?.name) continue;
+                const label = subRole ? `${role} (${subRole})` : role;
+                if (!byRole.has(label)) byRole.set(label, []);
+                byRole.get(label).push({ name: artist.name, id: artist.id ? this.toId(artist.id) : null });
+            }
+            if (!byRole.has('composer') && song?.displayComposer) {
+                byRole.set(
+                    'composer',
+                    song.displayComposer.split(/\s*[,;/]\s*/).map((name) => ({ name, id: null }))
+                );
+            }
+            byRole.forEach((contributors, role) => credits.push({ role, contributors }));
+        } catch (e) {
+            console.warn('Failed to fetch Subsonic credits:', e);
+        }
+        return credits;
+    }
+
+    async getStreamInfo(id, quality = 'HI_RES_LOSSLESS') {
+        const rawId = this.fromId(id);
+        const streamUrl = this.buildUrl('stream', {
+            id: rawId,
+            ...(STREAM_FORMATS[quality] || STREAM_FORMATS.LOSSLESS),
+        });
+
+        // ReplayGain is an OpenSubsonic extension, plain Subsonic servers just play without it
+        let replayGain = null;
+        try {
+            const song = await this.getSong(id);
+            const rg = song?.replayGain;
+            if (rg) {
+                replayGain = {
+                    trackReplayGain: rg.trackGain,
+                    trackPeakAmplitude: rg.trackPeak,
+                    albumReplayGain: rg.albumGain,
+                    albumPeakAmplitude: rg.albumPeak,
+                };
+            }
+        } catch (e) {
+            console.warn('Failed to fetch Subsonic song details:', e);
+        }
+
+        return { streamUrl, replayGain };
+    }
+
+    getCoverUrl(id, size = '320') {
+        if (!id) {
+            return `https://picsum.photos/seed/${Math.random()}/${size}`;
+        }
+        if (!subsonicSettings.get()) return DISCONNECTED_COVER;
+        return this.buildUrl('getCoverArt', { id: this.fromId(id), size: String(size) });
+    }
+}
+
+// Compact MD5, only needed for the Subsonic auth token: md5(password + salt)
+function md5(input) {
+    const bytes = new TextEncoder().encode(input);
+    const words = new Array((((bytes.length + 8) >> 6) + 1) * 16).fill(0);
+    bytes.forEach((byte, i) => {
+        words[i >> 2] |= byte << ((i % 4) * 8);
+    });
+    words[bytes.length >> 2] |= 0x80 << ((bytes.length % 4) * 8);
+    words[words.length - 2] = bytes.length * 8;
+
+    const shifts = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+    const k = Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 2 ** 32) | 0);
+    const state = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476];
+
+    for (let chunk = 0; chunk < words.length; chunk += 16) {
+        let [a, b, c, d] = state;
+
+        for (let i = 0; i < 64; i++) {
+            let f, g;
+            if (i < 16) {
+                f = (b & c) | (~b & d);
+                g = i;
+            } else if (i < 32) {
+                f = (d & b) | (~d & c);
+                g = (5 * i + 1) % 16;
+            } else if (i < 48) {
+                f = b ^ c ^ d;
+                g = (3 * i + 5) % 16;
+            } else {
+                f = c ^ (b | ~d);
+                g = (7 * i) % 16;
+            }
+
+            const sum = (a + f + k[i] + words[chunk + g]) | 0;
+            const shift = shifts[(i >> 4) * 4 + (i % 4)];
+            a = d;
+            d = c;
+            c = b;
+            b = (b + ((sum << shift) | (sum >>> (32 - shift)))) | 0;
+        }
+
+        state[0] = (state[0] + a) | 0;
+        state[1] = (state[1] + b) | 0;
+        state[2] = (state[2] + c) | 0;
+        state[3] = (state[3] + d) | 0;
+    }
+
+    return state
+        .map((n) =>
+            Array.from({ length: 4 }, (_, i) => ((n >>> (i * 8)) & 0xff).toString(16).padStart(2, '0')).join('')
+        )
+        .join('');
+}
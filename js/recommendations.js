@@ -0,0 +1,185 @@
+//js/recommendations.js
+// Scoring for track suggestions. Candidates come from the seed artists, their similar artists,
+// albums similar to the seeds' albums and the seeds' track mixes. They are weighted by where they
+// came from and the user's plays and skips, then picked greedily with a penalty for repeating an
+// artist or album. Every suggestion carries a short `recommendationReason`
+
+const SOURCE_WEIGHTS = { artist: 1, mix: 0.9, similarArtist: 0.8, similarAlbum: 0.7 };
+const MAX_SEED_ARTISTS = 4;
+const MAX_SIMILAR_ARTISTS = 4;
+const MAX_SEED_ALBUMS = 2;
+const SIMILAR_ALBUMS_PER_SEED = 2;
+const MAX_MIXES = 2;
+const TRACKS_PER_SOURCE = 5;
+const ARTIST_REPEAT_PENALTY = 0.6;
+const ALBUM_REPEAT_PENALTY = 0.8;
+// Plays at which an artist counts as a favourite in the reason label
+const FAVORITE_ARTIST_PLAYS = 5;
+
+const primaryArtist = (track) => track.artist || track.artists?.[0] || null;
+
+const attempt = async (label, task, fallback) => {
+    try {
+        return await task();
+    } catch (error) {
+        console.warn(`[Recommendations] ${label} failed:`, error);
+        return fallback;
+    }
+};
+
+// source is a provider (or anything with getArtist, getSimilarArtists, getSimilarAlbums, getAlbum
+// and getMix). signals is optional: { ownedTrackIds, artistPlays, trackPlays, artistSkips, trackSkips }
+// with the count maps keyed by id. exclude holds further track ids that must not be suggested
+export async function recommendTracks(source, seeds, seedArtists, { limit = 20, signals = {}, exclude = [] } = {}) {
+    const excluded = new Set([...seeds.map((t) => t.id), ...(signals.ownedTrackIds || []), ...exclude]);
+    const candidates = new Map();
+
+    const addCandidates = (tracks, sourceWeight, reason) => {
+        (tracks || [])
+            .filter((track) => track?.id && !excluded.has(track.id) && !track.isUnavailable)
+            .slice(0, TRACKS_PER_SOURCE)
+            .forEach((track, rank) => {
+                const score = sourceWeight / (1 + rank * 0.15);
+                const entry = candidates.get(track.id);
+                if (!entry) {
+                    candidates.set(track.id, { track, score, reason, best: score });
+                    return;
+                }
+                // Turning up from several sources adds up, the strongest one names the reason
+                entry.score += score;
+                if (score > entry.best) {
+                    entry.best = score;
+                    entry.reason = reason;
+                }
+            });
+    };
+
+    const artists = seedArtists.slice(0, MAX_SEED_ARTISTS);
+    const seedArtistIds = new Set(artists.map((a) => a.id));
+
+    const seedAlbums = [];
+    for (const track of seeds) {
+        if (track.album?.id && !seedAlbums.some((a) => a.id === track.album.id)) seedAlbums.push(track.album);
+    }
+
+    const byPopularity = (tracks) => [...(tracks || [])].sort((a, b) => (b.popularity || 0) - (a.popularity || 0));
+
+    const similarLists = await Promise.all([
+        ...artists.map(async (artist) => {
+            const data = await attempt(`Artist ${artist.id}`, () => source.getArtist(artist.id), null);
+            addCandidates(data?.tracks, SOURCE_WEIGHTS.artist, `More from ${artist.name}`);
+            const similar = await attempt(
+                `Similar artists for ${artist.id}`,
+                () => source.getSimilarArtists(artist.id),
+                []
+            );
+            return { artist, similar };
+        }),
+        ...seedAlbums.slice(0, MAX_SEED_ALBUMS).map(async (album) => {
+            const similar = await attempt(
+                `Similar albums for ${album.id}`,
+                () => source.getSimilarAlbums(album.id),
+                []
+            );
+            await Promise.all(
+                similar.slice(0, SIMILAR_ALBUMS_PER_SEED).map(async (similarAlbum) => {
+                    const data = await attempt(
+                        `Album ${similarAlbum.id}`,
+                        () => source.getAlbum(similarAlbum.id),
+                        null
+                    );
+                    addCandidates(byPopularity(data?.tracks), SOURCE_WEIGHTS.similarAlbum, `Like ${album.title}`);
+                })
+            );
+            return null;
+        }),
+        ...seeds
+            .filter((track) => track.mixes?.TRACK_MIX)
+            .slice(0, MAX_MIXES)
+            .map(async (track) => {
+                const data = await attempt(
+                    `Mix ${track.mixes.TRACK_MIX}`,
+                    () => source.getMix(track.mixes.TRACK_MIX),
+                    null
+                );
+                addCandidates(data?.tracks, SOURCE_WEIGHTS.mix, `Inspired by ${track.title}`);
+                return null;
+            }),
+    ]);
+
+    // Round-robin over the seeds' similar artists so one seed can't take every slot
+    const similarArtists = [];
+    const lists = similarLists.filter(Boolean).map(({ artist, similar }) => ({ artist, queue: [...similar] }));
+    while (similarArtists.length < MAX_SIMILAR_ARTISTS && lists.some((list) => list.queue.length > 0)) {
+        for (const list of lists) {
+            const next = list.queue.shift();
+            if (!next || seedArtistIds.has(next.id) || similarArtists.some((s) => s.artist.id === next.id)) continue;
+            similarArtists.push({ artist: next, seed: list.artist });
+            if (similarArtists.length >= MAX_SIMILAR_ARTISTS) break;
+        }
+    }
+
+    await Promise.all(
+        similarArtists.map(async ({ artist, seed }) => {
+            const data = await attempt(`Artist ${artist.id}`, () => source.getArtist(artist.id), null);
+            addCandidates(data?.tracks, SOURCE_WEIGHTS.similarArtist, `Similar to ${seed.name}`);
+        })
+    );
+
+    const weigh = (entry) => {
+        const { track } = entry;
+        const artist = primaryArtist(track);
+        const artistPlays = signals.artistPlays?.[artist?.id] || 0;
+        const artistSkips = signals.artistSkips?.[artist?.id] || 0;
+        const trackPlays = signals.trackPlays?.[track.id] || 0;
+        const trackSkips = signals.trackSkips?.[track.id] || 0;
+
+        let weight = entry.score;
+        if (track.popularity) weight *= 0.75 + track.popularity / 200;
+        weight *= 1 + Math.log1p(artistPlays) / 4;
+        if (artistPlays + artistSkips > 0) weight *= 1 - 0.7 * (artistSkips / (artistPlays + artistSkips));
+        weight *= 0.3 ** trackSkips;
+        // Tracks the user already plays a lot aren't much of a discovery
+        if (trackPlays >= 3) weight *= 0.5;
+
+        if (artistPlays >= FAVORITE_ARTIST_PLAYS && artist?.name) {
+            entry.reason = `You often play ${artist.name}`;
+        }
+
+        // A little jitter so refreshing doesn't always give the same list
+        return weight * (0.9 + Math.random() * 0.2);
+    };
+
+    const pool = [...candidates.values()].map((entry) => {
+        const weight = weigh(entry);
+        return { ...entry, weight };
+    });
+    const artistCounts = new Map();
+    const albumCounts = new Map();
+    const picked = [];
+
+    while (picked.length < limit && pool.length > 0) {
+        let bestIndex = 0;
+        let bestScore = -Infinity;
+        pool.forEach((entry, i) => {
+            const artistId = primaryArtist(entry.track)?.id;
+            const albumId = entry.track.album?.id;
+            const score =
+                entry.weight *
+                ARTIST_REPEAT_PENALTY ** (artistCounts.get(artistId) || 0) *
+                ALBUM_REPEAT_PENALTY ** (albumCounts.get(albumId) || 0);
+            if (score > bestScore) {
+                bestScore = score;
+                bestIndex = i;
+            }
+        });
+
+        const [{ track, reason }] = pool.splice(bestIndex, 1);
+        const artistId = primaryArtist(track)?.id;
+        artistCounts.set(artistId, (artistCounts.get(artistId) || 0) + 1);
+        albumCounts.set(track.album?.id, (albumCounts.get(track.album?.id) || 0) + 1);
+        picked.push({ ...track, recommendationReason: reason });
+    }
+
+    return picked;
+}
@@ -1,46 +1,258 @@
 //router.js
 import { getTrackArtists } from './utils.js';
+import { PageCache } from './page-cache.js';
 
+const PAGE_CACHE_SIZE = 8;
+
+// Accepts 90, 1m30s and 1:30
+const parseTimestamp = (value) => {
+    if (/^\d+:\d{1,2}$/.test(value)) {
+        const [m, s] = value.split(':').map(Number);
+        return m * 60 + s;
+    }
+    const match = value.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s?)?$/);
+    if (!match) return null;
+    const [, h = 0, m = 0, s = 0] = match.map((part) => Number(part) || 0);
+    return h * 3600 + m * 60 + s;
+};
+
+// Converters for typed params and query values, null rejects the value
+const PARAM_TYPES = {
+    string: (value) => value,
+    number: (value) => (/^-?\d+(\.\d+)?$/.test(value) ? Number(value) : null),
+    timestamp: parseTimestamp,
+};
+
+// `:name` segments are params, `:name?` may be left out. `types` converts params and query values
+// (strings otherwise); a param that fails to convert makes the route not match, a query value is
+// dropped instead. Routes with a `page` are kept in the page cache, `load` fetches the data the page
+// is built from so a restored page can tell whether it went stale
+const ROUTES = [
+    { name: 'home', path: 'home', render: (ui) => ui.renderHomePage() },
+    { name: 'search', path: 'search/:query?', render: (ui, { params }) => ui.renderSearchPage(params.query || '') },
+    {
+        name: 'album',
+        path: 'album/:id',
+        page: 'album',
+        load: (ui, { params }) => ui.api.getAlbum(params.id),
+        render: (ui, { params }) => ui.renderAlbumPage(params.id),
+    },
+    {
+        name: 'artist',
+        path: 'artist/:id',
+        page: 'artist',
+        load: (ui, { params }) => ui.api.getArtist(params.id),
+        render: (ui, { params }) => ui.renderArtistPage(params.id),
+    },
+    {
+        name: 'playlist',
+        path: 'playlist/:id',
+        page: 'playlist',
+        load: (ui, { params }) => ui.api.getPlaylist(params.id),
+        render: (ui, { params }) => ui.renderPlaylistPage(params.id, 'api'),
+    },
+    // Local playlists only change through db, which clears the page cache
+    {
+        name: 'userplaylist',
+        path: 'userplaylist/:id',
+        page: 'playlist',
+        render: (ui, { params }) => ui.renderPlaylistPage(params.id, 'user'),
+    },
+    {
+        name: 'mix',
+        path: 'mix/:id',
+        page: 'mix',
+        load: (ui, { params }) => ui.api.getMix(params.id),
+        render: (ui, { params }) => ui.renderMixPage(params.id),
+    },
+    {
+        name: 'track',
+        path: 'track/:id',
+        page: 'track',
+        types: { t: 'timestamp' },
+        load: (ui, { params }) => ui.api.getTrackMetadata(params.id),
+        render: (ui, { params, query }) => ui.renderTrackPage(params.id, { startTime: query.t || 0 }),
+    },
+    { name: 'library', path: 'library', render: (ui) => ui.renderLibraryPage() },
+    { name: 'recent', path: 'recent', render: (ui) => ui.renderRecentPage() },
+    { name: 'settings', path: 'settings', render: (ui) => ui.showPage('settings') },
+    { name: 'about', path: 'about', render: (ui) => ui.showPage('about') },
+    { name: 'account', path: 'account', render: (ui) => ui.showPage('account') },
+    { name: 'download', path: 'download', render: (ui) => ui.showPage('download') },
+];
+
+const convert = (value, type = 'string') => {
+    try {
+        return PARAM_TYPES[type](decodeURIComponent(value));
+    } catch {
+        return null;
+    }
+};
+
+const matchRoute = (route, segments) => {
+    const pattern = route.path.split('/');
+    const required = pattern.filter((part) => !part.endsWith('?')).length;
+    if (segments.length < required || segments.length > pattern.length) return null;
+
+    const params = {};
+    for (const [i, part] of pattern.entries()) {
+        const segment = segments[i];
+        if (!part.startsWith(':')) {
+            if (segment !== part) return null;
+            continue;
+        }
+
+        const name = part.replace(/^:|\?$/g, '');
+        if (segment === undefined) continue;
+        const value = convert(segment, route.types?.[name]);
+        if (value === null) return null;
+        params[name] = value;
+    }
+    return params;
+};
+
+// Resolves a hash such as `#track/123?t=90` to { name, route, params, query, path, hash }. Unknown
+// paths resolve to the 'not-found' route
+export function resolveRoute(hash) {
+    hash = hash || '#home';
+    const [path, queryString = ''] = hash.replace(/^#/, '').split('?');
+    const segments = path.split('/').filter(Boolean);
+
+    for (const route of ROUTES) {
+        const params = matchRoute(route, segments);
+        if (!params) continue;
+
+        const query = {};
+        for (const [key, value] of new URLSearchParams(queryString)) {
+            const converted = convert(value, route.types?.[key]);
+            if (converted !== null) query[key] = converted;
+        }
+        return { name: route.name, route, params, query, path, hash };
+    }
+
+    return {
+        name: 'not-found',
+        route: { render: (ui) => ui.renderNotFoundPage(path) },
+        params: {},
+        query: {},
+        path,
+        hash,
+    };
+}
+
+// Resolves the current hash and renders it. Every history entry gets a key in history.state so
+// going back or forward lands where that entry was scrolled to, while new entries start at the top.
+// Going back or forward to a cached page swaps it back in and revalidates it afterwards.
+// beforeEach hooks run before rendering with (to, from) and may return a hash to redirect to
 export function createRouter(ui) {
-    const router = async () => {
-        const path = window.location.hash.substring(1) || 'home';
-        const [page, param] = path.split('/');
-
-        switch (page) {
-            case 'search':
-                await ui.renderSearchPage(decodeURIComponent(param));
-                break;
-            case 'album':
-                await ui.renderAlbumPage(param);
-                break;
-            case 'artist':
-                await ui.renderArtistPage(param);
-                break;
-            case 'playlist':
-                await ui.renderPlaylistPage(param, 'api');
-                break;
-            case 'userplaylist':
-                await ui.renderPlaylistPage(param, 'user');
-                break;
-            case 'mix':
-                await ui.renderMixPage(param);
-                break;
-            case 'library':
-                await ui.renderLibraryPage();
-                break;
-            case 'recent':
-                await ui.renderRecentPage();
-                break;
-            case 'home':
-                await ui.renderHomePage();
-                break;
-            default:
-                ui.showPage(page);
-                break;
+    const hooks = [];
+    // Session-based scroll positions per history entry (transient, cleared on refresh)
+    const scrollPositions = new Map();
+    const pageCache = new PageCache(PAGE_CACHE_SIZE);
+    let current = null;
+    let lastIndex = 0;
+    let navigationId = 0;
+
+    ROUTES.forEach((route) => route.page && pageCache.captureTemplate(route.page));
+    // Hearts and playlists show up on every kind of page, so any change there makes them all stale
+    ['favorites-changed', 'library-changed', 'sync-playlist-change'].forEach((event) =>
+        window.addEventListener(event, () => pageCache.clear())
+    );
+
+    const getFingerprint = async (target) => {
+        try {
+            return JSON.stringify(await target.route.load(ui, target));
+        } catch {
+            return null;
         }
     };
 
-    return router;
+    // Re-renders a restored page once its data turns out to have changed since it was cached
+    const revalidate = async (to, navigation) => {
+        const [before, after] = await Promise.all([to.fingerprint, getFingerprint(to)]);
+        to.fingerprint = after;
+        if (navigation !== navigationId || !before || !after || before === after) return;
+
+        const content = document.querySelector('.main-content');
+        const scrollTop = content?.scrollTop ?? 0;
+        await to.route.render(ui, to);
+        if (navigation === navigationId && content) content.scrollTop = scrollTop;
+    };
+
+    const resolve = async () => {
+        const navigation = ++navigationId;
+        const content = document.querySelector('.main-content');
+        if (current && content) scrollPositions.set(current.key, content.scrollTop);
+
+        // Entries created by following a link have no key yet
+        let state = window.history.state;
+        const isTraversal = Boolean(state?.routeKey);
+        if (!isTraversal) {
+            const index = current ? current.index + 1 : 0;
+            state = { ...state, routeKey: `${Date.now()}-${navigation}`, routeIndex: index };
+            window.history.replaceState(state, '');
+            lastIndex = index;
+        }
+        lastIndex = Math.max(lastIndex, state.routeIndex);
+
+        const from = current;
+        const to = { ...resolveRoute(window.location.hash), key: state.routeKey, index: state.routeIndex };
+        current = to;
+
+        // Re-resolving the same entry is a refresh, so only pages being left are kept
+        const isSameEntry = from?.key === to.key;
+        if (from?.rendered && from.route.page && !isSameEntry) {
+            pageCache.save(from.hash, from.route.page, {
+                title: document.title,
+                theme: ui.getPageTheme(),
+                fingerprint: from.fingerprint,
+            });
+        }
+
+        for (const hook of hooks) {
+            const redirect = await hook(to, from);
+            // A newer navigation started while the hook was waiting
+            if (navigation !== navigationId) return;
+            if (typeof redirect === 'string') {
+                window.location.replace(redirect);
+                return;
+            }
+        }
+
+        const cached = isTraversal && !isSameEntry ? pageCache.restore(to.hash) : null;
+        if (cached) {
+            ui.showPage(cached.pageId);
+            ui.applyPageTheme(cached.theme);
+            document.title = cached.title;
+            to.fingerprint = cached.fingerprint;
+            if (to.route.load) revalidate(to, navigation);
+        } else {
+            await to.route.render(ui, to);
+            if (navigation !== navigationId) return;
+            to.fingerprint = to.route.load ? getFingerprint(to) : null;
+        }
+        to.rendered = true;
+        if (!content) return;
+
+        const saved = isTraversal ? scrollPositions.get(to.key) : undefined;
+        content.scrollTop = saved ?? 0;
+    };
+
+    return {
+        resolve,
+        beforeEach(hook) {
+            hooks.push(hook);
+        },
+        get current() {
+            return current;
+        },
+        canGoBack() {
+            return (current?.index ?? 0) > 0;
+        },
+        canGoForward() {
+            return (current?.index ?? 0) < lastIndex;
+        },
+    };
 }
 
 export function updateTabTitle(player) {
@@ -49,7 +261,7 @@ export function updateTabTitle(player) {
         document.title = `${track.title} • ${getTrackArtists(track)}`;
     } else {
         const hash = window.location.hash;
-        if (hash.includes('#album/') || hash.includes('#playlist/')) {
+        if (hash.includes('#album/') || hash.includes('#playlist/') || hash.includes('#track/')) {
             return;
         }
         document.title = 'Monochrome Music';
@@ -0,0 +1,164 @@
+//js/search-query.js
+// Qualifier syntax for the search box, e.g. `daft punk year:1990-1999 quality:hires duration:<5m`.
+// Qualifiers are pulled out of the free text into filters, which are applied client-side to
+// whatever the backend returns (providers may also use them upstream)
+import { deriveTrackQuality, hasExplicitContent, getTrackArtists, QUALITY_PRIORITY } from './utils.js';
+
+const QUALIFIER_PATTERN = /(\w+):("([^"]*)"|\S*)/g;
+
+const QUALITY_ALIASES = {
+    hires: 'HI_RES_LOSSLESS',
+    'hi-res': 'HI_RES_LOSSLESS',
+    lossless: 'LOSSLESS',
+    high: 'HIGH',
+    low: 'LOW',
+};
+
+const TYPE_ALIASES = {
+    track: 'tracks',
+    tracks: 'tracks',
+    song: 'tracks',
+    songs: 'tracks',
+    album: 'albums',
+    albums: 'albums',
+    artist: 'artists',
+    artists: 'artists',
+    playlist: 'playlists',
+    playlists: 'playlists',
+};
+
+// Accepts 300, 5m, 5m30s, 1h2m and 3:30
+const parseDuration = (value) => {
+    if (/^\d+:\d{1,2}$/.test(value)) {
+        const [m, s] = value.split(':').map(Number);
+        return m * 60 + s;
+    }
+    if (/^\d+$/.test(value)) return Number(value);
+
+    const match = value.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/);
+    if (!match || !match[0]) return null;
+    const [, h = 0, m = 0, s = 0] = match.map((part) => Number(part) || 0);
+    return h * 3600 + m * 60 + s;
+};
+
+// `<x`, `>x`, `x-y` or an exact value, parsed into { min, max }
+const parseRange = (value, parse) => {
+    const comparison = value.match(/^([<>]=?)(.+)$/);
+    if (comparison) {
+        const bound = parse(comparison[2]);
+        if (bound === null) return null;
+        const inclusive = comparison[1].length === 2;
+        return comparison[1][0] === '<'
+            ? { min: null, max: inclusive ? bound : bound - 1 }
+            : { min: inclusive ? bound : bound + 1, max: null };
+    }
+
+    const range = value.match(/^([^-]+)-([^-]+)$/);
+    if (range) {
+        const min = parse(range[1]);
+        const max = parse(range[2]);
+        return min === null || max === null ? null : { min: Math.min(min, max), max: Math.max(min, max) };
+    }
+
+    const exact = parse(value);
+    return exact === null ? null : { min: exact, max: exact };
+};
+
+const parseYear = (value) => (/^\d{4}$/.test(value) ? Number(value) : null);
+
+const QUALIFIERS = {
+    artist: (value) => value.toLowerCase(),
+    album: (value) => value.toLowerCase(),
+    year: (value) => parseRange(value, parseYear),
+    quality: (value) => QUALITY_ALIASES[value.toLowerCase()] || null,
+    explicit: (value) => {
+        const v = value.toLowerCase();
+        if (['yes', 'true', '1', 'y'].includes(v)) return true;
+        if (['no', 'false', '0', 'n'].includes(v)) return false;
+        return null;
+    },
+    duration: (value) => parseRange(value, parseDuration),
+    type: (value) => TYPE_ALIASES[value.toLowerCase()] || null,
+};
+
+// Resolves to { text, filters, qualifiers, raw } where qualifiers keeps each recognised token as
+// typed (for display). Unknown or malformed qualifiers are kept as free text
+export function parseSearchQuery(raw) {
+    const filters = {};
+    const qualifiers = [];
+    const text = raw
+        .replace(QUALIFIER_PATTERN, (match, key, rawValue, quoted) => {
+            const parse = QUALIFIERS[key.toLowerCase()];
+            const value = quoted ?? rawValue;
+            if (!parse || !value) return match;
+
+            const parsed = parse(value);
+            if (parsed === null) return match;
+
+            filters[key.toLowerCase()] = parsed;
+            qualifiers.push({ key: key.toLowerCase(), token: match });
+            return ' ';
+        })
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    return { text, filters, qualifiers, raw };
+}
+
+// Drops one qualifier, as typed, from the raw query
+export function removeSearchQualifier(raw, token) {
+    return raw.replace(token, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// Text sent to backends without structured search, artist and album names narrow the full-text match
+export function getUpstreamSearchText({ text, filters }) {
+    return [text, filters.artist, filters.album].filter(Boolean).join(' ');
+}
+
+const inRange = (value, range) => {
+    if (value === null || value === undefined || isNaN(value)) return false;
+    return (range.min === null || value >= range.min) && (range.max === null || value <= range.max);
+};
+
+const getYear = (item) => {
+    const date = item.releaseDate || item.album?.releaseDate || item.streamStartDate;
+    const year = date ? new Date(date).getFullYear() : null;
+    return isNaN(year) ? null : year;
+};
+
+// Whether an item of the given result type ('tracks', 'albums', ...) passes every filter that
+// applies to that type. Playlists only have a duration, artists only a name
+export function matchesSearchFilters(item, type, filters) {
+    if (filters.artist && type !== 'playlists') {
+        const names =
+            type === 'artists'
+                ? item.name || ''
+                : type === 'tracks'
+                  ? getTrackArtists(item)
+                  : (item.artists || [item.artist]).map((a) => a?.name || '').join(', ');
+        if (!names.toLowerCase().includes(filters.artist)) return false;
+    }
+
+    if (type === 'artists') return true;
+
+    if (filters.album && type !== 'playlists') {
+        const title = type === 'albums' ? item.title : item.album?.title;
+        if (!title?.toLowerCase().includes(filters.album)) return false;
+    }
+
+    if (filters.year && type !== 'playlists' && !inRange(getYear(item), filters.year)) return false;
+
+    if (filters.quality && type !== 'playlists') {
+        // A quality filter is a minimum, quality:lossless also matches hi-res
+        const rank = QUALITY_PRIORITY.indexOf(deriveTrackQuality(item));
+        if (rank === -1 || rank > QUALITY_PRIORITY.indexOf(filters.quality)) return false;
+    }
+
+    if (filters.explicit !== undefined && type !== 'playlists') {
+        if (hasExplicitContent(item) !== filters.explicit) return false;
+    }
+
+    if (filters.duration && !inRange(item.duration, filters.duration)) return false;
+
+    return true;
+}
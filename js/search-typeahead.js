@@ -0,0 +1,340 @@
+//js/search-typeahead.js
+// Dropdown under the search box mixing recent searches, matching library items and API top hits
+import { db } from './db.js';
+import { parseSearchQuery } from './search-query.js';
+import { debounce, escapeHtml, getTrackTitle, getTrackArtists } from './utils.js';
+
+const MAX_RECENT = 5;
+const MAX_LIBRARY = 5;
+const MAX_TOP_HITS = 2; // per entity type
+const MIN_REMOTE_QUERY_LENGTH = 2;
+
+const matches = (value, needle) => (value || '').toLowerCase().includes(needle);
+
+export function initializeSearchTypeahead(api, player) {
+    const form = document.getElementById('search-form');
+    const input = document.getElementById('search-input');
+    if (!form || !input) return;
+
+    const dropdown = document.createElement('div');
+    dropdown.id = 'search-suggestions';
+    dropdown.className = 'search-suggestions';
+    dropdown.setAttribute('role', 'listbox');
+    dropdown.hidden = true;
+    form.appendChild(dropdown);
+
+    input.setAttribute('autocomplete', 'off');
+    input.setAttribute('role', 'combobox');
+    input.setAttribute('aria-controls', dropdown.id);
+    input.setAttribute('aria-expanded', 'false');
+    input.setAttribute('aria-autocomplete', 'list');
+
+    let suggestions = [];
+    let activeIndex = -1;
+    let topHits = [];
+    let remoteController = null;
+    let renderToken = 0;
+
+    const close = () => {
+        dropdown.hidden = true;
+        activeIndex = -1;
+        input.setAttribute('aria-expanded', 'false');
+        input.removeAttribute('aria-activedescendant');
+    };
+
+    const setActive = (index) => {
+        activeIndex = index;
+        dropdown.querySelectorAll('.search-suggestion').forEach((el, i) => {
+            el.classList.toggle('active', i === index);
+            el.setAttribute('aria-selected', i === index ? 'true' : 'false');
+        });
+        if (index >= 0) {
+            const el = dropdown.querySelector(`#search-suggestion-${index}`);
+            input.setAttribute('aria-activedescendant', el.id);
+            el.scrollIntoView({ block: 'nearest' });
+        } else {
+            input.removeAttribute('aria-activedescendant');
+        }
+    };
+
+    const getLibraryMatches = async (needle) => {
+        const [tracks, albums, artists, playlists] = await Promise.all([
+            db.getFavorites('track'),
+            db.getFavorites('album'),
+            db.getFavorites('artist'),
+            db.getPlaylists(),
+        ]);
+
+        const results = [
+            ...artists.filter((a) => matches(a.name, needle)).map((item) => ({ kind: 'artist', item })),
+            ...albums
+                .filter((a) => matches(a.title, needle) || matches(a.artist?.name, needle))
+                .map((item) => ({ kind: 'album', item })),
+            ...playlists.filter((p) => matches(p.name, needle)).map((item) => ({ kind: 'userplaylist', item })),
+            ...tracks
+                .filter((t) => matches(getTrackTitle(t), needle) || matches(getTrackArtists(t), needle))
+                .map((item) => ({ kind: 'track', item })),
+            ...(window.localFilesCache || [])
+                .filter((t) => matches(t.title, needle) || matches(t.artist?.name, needle))
+                .map((item) => ({ kind: 'local', item })),
+        ];
+
+        return results.slice(0, MAX_LIBRARY).map((entry) => ({ ...entry, group: 'Library' }));
+    };
+
+    const buildSuggestions = async (query) => {
+        const needle = query.toLowerCase();
+        const history = await db.getSearchHistory(needle ? 20 : MAX_RECENT).catch(() => []);
+        const recent = history
+            .filter((entry) => !needle || (entry.query.includes(needle) && entry.query !== needle))
+            .slice(0, MAX_RECENT)
+            .map((entry) => ({ kind: 'query', group: 'Recent', query: entry.text }));
+
+        if (!needle) return recent;
+
+        const library = await getLibraryMatches(needle).catch(() => []);
+        const seen = new Set(library.map(({ kind, item }) => `${kind}:${item.id}`));
+        const remote = topHits.filter(({ kind, item }) => !seen.has(`${kind}:${item.id}`));
+
+        return [...recent, ...library, ...remote];
+    };
+
+    const getImage = ({ kind, item }) => {
+        if (kind === 'artist') return item.picture ? api.getArtistPictureUrl(item.picture, '80') : null;
+        if (kind === 'album') return item.cover ? api.getCoverUrl(item.cover, '80') : null;
+        if (kind === 'track') return item.album?.cover ? api.getCoverUrl(item.album.cover, '80') : null;
+        if (kind === 'userplaylist') return item.cover || null;
+        return null;
+    };
+
+    const describe = (suggestion) => {
+        const { kind, item } = suggestion;
+        switch (kind) {
+            case 'query':
+                return { title: suggestion.query, subtitle: '' };
+            case 'artist':
+                return { title: item.name, subtitle: 'Artist' };
+            case 'album':
+                return { title: item.title, subtitle: `Album • ${item.artist?.name || ''}` };
+            case 'userplaylist':
+                return { title: item.name, subtitle: `Your playlist • ${item.numberOfTracks || 0} tracks` };
+            case 'local':
+                return { title: item.title, subtitle: `Local file • ${item.artist?.name || ''}` };
+            default:
+                return { title: getTrackTitle(item), subtitle: `Track • ${getTrackArtists(item)}` };
+        }
+    };
+
+    const render = () => {
+        if (suggestions.length === 0) {
+            dropdown.innerHTML = '';
+            close();
+            return;
+        }
+
+        let lastGroup = null;
+        dropdown.innerHTML = suggestions
+            .map((suggestion, index) => {
+                const { title, subtitle } = describe(suggestion);
+                const image = getImage(suggestion);
+                const header =
+                    suggestion.group !== lastGroup
+                        ? `<div class="search-suggestions-group" role="presentation">${suggestion.group}${
+                              suggestion.group === 'Recent'
+                                  ? '<button type="button" class="search-history-clear">Clear</button>'
+                                  : ''
+                          }</div>`
+                        : '';
+                lastGroup = suggestion.group;
+
+                return `${header}
+                    <div class="search-suggestion${suggestion.kind === 'query' ? ' is-query' : ''}" id="search-suggestion-${index}" role="option" aria-selected="false" data-index="${index}">
+                        ${image ? `<img src="${image}" alt="" loading="lazy">` : '<span class="search-suggestion-icon"></span>'}
+                        <div class="search-suggestion-text">
+                            <span class="search-suggestion-title">${escapeHtml(title || '')}</span>
+                            ${subtitle ? `<span class="search-suggestion-subtitle">${escapeHtml(subtitle)}</span>` : ''}
+                        </div>
+                        ${suggestion.kind === 'query' ? `<button type="button" class="search-history-remove" title="Remove from history" data-index="${index}">×</button>` : ''}
+                    </div>`;
+            })
+            .join('');
+
+        dropdown.hidden = false;
+        input.setAttribute('aria-expanded', 'true');
+        setActive(-1);
+    };
+
+    const refresh = async () => {
+        const token = ++renderToken;
+        const query = input.value.trim();
+        const next = await buildSuggestions(query);
+        // A newer keystroke already rendered
+        if (token !== renderToken || document.activeElement !== input) return;
+        suggestions = next;
+        render();
+    };
+
+    // Top hits reuse the regular search calls, so the results page that follows is served from cache
+    const fetchTopHits = debounce(async (query) => {
+        remoteController?.abort();
+        const parsed = parseSearchQuery(query);
+        if (parsed.qualifiers.length > 0 || parsed.text.length < MIN_REMOTE_QUERY_LENGTH) return;
+
+        const controller = new AbortController();
+        remoteController = controller;
+        const options = { signal: controller.signal };
+
+        try {
+            const [artists, albums, tracks] = await Promise.all([
+                api.search(parsed.text, 'artists', options),
+                api.search(parsed.text, 'albums', options),
+                api.search(parsed.text, 'tracks', options),
+            ]);
+            if (controller.signal.aborted || input.value.trim() !== query) return;
+
+            topHits = [
+                ...artists.items.slice(0, MAX_TOP_HITS).map((item) => ({ kind: 'artist', item })),
+                ...albums.items.slice(0, MAX_TOP_HITS).map((item) => ({ kind: 'album', item })),
+                ...tracks.items.slice(0, MAX_TOP_HITS).map((item) => ({ kind: 'track', item })),
+            ].map((entry) => ({ ...entry, group: 'Top results' }));
+            refresh();
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.warn('Search suggestions failed:', error);
+            }
+        }
+    }, 250);
+
+    const select = (suggestion) => {
+        close();
+        const { kind, item } = suggestion;
+
+        if (kind === 'query') {
+            input.value = suggestion.query;
+            db.addSearchQuery(suggestion.query).catch(() => {});
+            window.location.hash = `#search/${encodeURIComponent(suggestion.query)}`;
+            return;
+        }
+
+        // Picking an entity still counts as having searched for what was typed
+        const typed = input.value.trim();
+        if (typed) db.addSearchQuery(typed).catch(() => {});
+        input.blur();
+
+        switch (kind) {
+            case 'artist':
+                window.location.hash = `#artist/${item.id}`;
+                break;
+            case 'album':
+                window.location.hash = `#album/${item.id}`;
+                break;
+            case 'userplaylist':
+                window.location.hash = `#userplaylist/${item.id}`;
+                break;
+            case 'local':
+                player.setQueue([item], 0);
+                player.playTrackFromQueue();
+                break;
+            default:
+                if (item.album?.id) {
+                    window.location.hash = `#album/${item.album.id}`;
+                } else {
+                    player.setQueue([item], 0);
+                    player.playTrackFromQueue();
+                }
+        }
+    };
+
+    input.addEventListener('input', () => {
+        topHits = [];
+        refresh();
+        fetchTopHits(input.value.trim());
+    });
+
+    input.addEventListener('focus', () => refresh());
+
+    input.addEventListener('blur', () => {
+        // Let a click on the dropdown land first
+        setTimeout(close, 150);
+    });
+
+    input.addEventListener('keydown', (e) => {
+        if (dropdown.hidden) {
+            if (e.key === 'ArrowDown') {
+                e.preventDefault();
+                refresh();
+            }
+            return;
+        }
+
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                setActive(activeIndex >= suggestions.length - 1 ? 0 : activeIndex + 1);
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                setActive(activeIndex <= 0 ? suggestions.length - 1 : activeIndex - 1);
+                break;
+            case 'Enter':
+                if (activeIndex >= 0) {
+                    e.preventDefault();
+                    select(suggestions[activeIndex]);
+                }
+                break;
+            case 'Tab':
+                // Complete the input with a highlighted recent query
+                if (activeIndex >= 0 && suggestions[activeIndex].kind === 'query') {
+                    e.preventDefault();
+                    input.value = suggestions[activeIndex].query;
+                    refresh();
+                } else {
+                    close();
+                }
+                break;
+            case 'Escape':
+                e.preventDefault();
+                close();
+                break;
+        }
+    });
+
+    // mousedown keeps focus in the input so blur doesn't close the list before the pick
+    dropdown.addEventListener('mousedown', async (e) => {
+        e.preventDefault();
+
+        if (e.target.closest('.search-history-clear')) {
+            await db.clearSearchHistory();
+            refresh();
+            return;
+        }
+
+        const removeBtn = e.target.closest('.search-history-remove');
+        if (removeBtn) {
+            await db.removeSearchQuery(suggestions[Number(removeBtn.dataset.index)].query);
+            refresh();
+            return;
+        }
+
+        const option = e.target.closest('.search-suggestion');
+        if (option) select(suggestions[Number(option.dataset.index)]);
+    });
+
+    dropdown.addEventListener('mousemove', (e) => {
+        const option = e.target.closest('.search-suggestion');
+        if (option && Number(option.dataset.index) !== activeIndex) setActive(Number(option.dataset.index));
+    });
+
+    form.addEventListener('submit', () => {
+        close();
+        const query = input.value.trim();
+        if (query) db.addSearchQuery(query).catch(() => {});
+    });
+
+    // Opening a result from the search page records the query too
+    document.addEventListener('click', (e) => {
+        if (!e.target.closest('#page-search .card, #page-search .track-item')) return;
+        const query = input.value.trim();
+        if (query) db.addSearchQuery(query).catch(() => {});
+    });
+}
@@ -9,14 +9,20 @@ import {
     cardSettings,
     waveformSettings,
     replayGainSettings,
+    autoplaySettings,
     smoothScrollingSettings,
     downloadQualitySettings,
     qualityBadgeSettings,
     bulkDownloadSettings,
+    hedgingSettings,
+    subsonicSettings,
+    jellyfinSettings,
 } from './storage.js';
 import { db } from './db.js';
 import { authManager } from './accounts/auth.js';
 import { syncManager } from './accounts/pocketbase.js';
+import { jellyfinSync } from './providers/jellyfin-sync.js';
+import { instanceProbes } from './instance-probes.js';
 import { saveFirebaseConfig, clearFirebaseConfig } from './accounts/config.js';
 
 export function initializeSettings(scrobbler, player, api, ui) {
@@ -361,6 +367,14 @@ export function initializeSettings(scrobbler, player, api, ui) {
         });
     }
 
+    const autoplayToggle = document.getElementById('autoplay-toggle');
+    if (autoplayToggle) {
+        autoplayToggle.checked = autoplaySettings.isEnabled();
+        autoplayToggle.addEventListener('change', (e) => {
+            player.setAutoplay(e.target.checked);
+        });
+    }
+
     // ReplayGain Settings
     const replayGainMode = document.getElementById('replay-gain-mode');
     if (replayGainMode) {
@@ -454,6 +468,27 @@ export function initializeSettings(scrobbler, player, api, ui) {
         });
     }
 
+    // Hedged request toggles and delays, one per endpoint type
+    ['api', 'streaming'].forEach((type) => {
+        const hedgeToggle = document.getElementById(`hedge-${type}-toggle`);
+        if (hedgeToggle) {
+            hedgeToggle.checked = hedgingSettings.isEnabled(type);
+            hedgeToggle.addEventListener('change', (e) => {
+                hedgingSettings.setEnabled(type, e.target.checked);
+            });
+        }
+
+        const hedgeDelay = document.getElementById(`hedge-${type}-delay`);
+        if (hedgeDelay) {
+            hedgeDelay.value = hedgingSettings.getDelay(type);
+            hedgeDelay.addEventListener('change', (e) => {
+                const delay = parseInt(e.target.value, 10);
+                if (Number.isFinite(delay)) hedgingSettings.setDelay(type, delay);
+                e.target.value = hedgingSettings.getDelay(type);
+            });
+        }
+    });
+
     // Smooth Scrolling Toggle
     const smoothScrollingToggle = document.getElementById('smooth-scrolling-toggle');
     if (smoothScrollingToggle) {
@@ -508,6 +543,27 @@ export function initializeSettings(scrobbler, player, api, ui) {
         }
     });
 
+    document.getElementById('run-probes-btn')?.addEventListener('click', async () => {
+        const btn = document.getElementById('run-probes-btn');
+        const originalText = btn.textContent;
+        btn.textContent = 'Probing...';
+        btn.disabled = true;
+
+        try {
+            const [apiInstances, streamingInstances] = await Promise.all([
+                api.settings.getInstances('api'),
+                api.settings.getInstances('streaming'),
+            ]);
+            await instanceProbes.probeAll({ api: apiInstances, streaming: streamingInstances });
+            ui.renderApiSettings();
+        } catch (error) {
+            console.error('Failed to run capability probes:', error);
+        } finally {
+            btn.textContent = originalText;
+            btn.disabled = false;
+        }
+    });
+
     document.getElementById('api-instance-list')?.addEventListener('click', async (e) => {
         const button = e.target.closest('button');
         if (!button) return;
@@ -516,20 +572,68 @@ export function initializeSettings(scrobbler, player, api, ui) {
         const index = parseInt(li.dataset.index, 10);
         const type = li.dataset.type || 'api'; // Default to api if not present
 
-        const instances = await api.settings.getInstances(type);
-
-        if (button.classList.contains('move-up') && index > 0) {
-            [instances[index], instances[index - 1]] = [instances[index - 1], instances[index]];
-        } else if (button.classList.contains('move-down') && index < instances.length - 1) {
-            [instances[index], instances[index + 1]] = [instances[index + 1], instances[index]];
+        // The list shows the ranked order, the move swaps the same two instances in the saved one
+        const ranked = await api.settings.getInstances(type);
+        let neighbour = null;
+        if (button.classList.contains('move-up')) {
+            neighbour = ranked[index - 1];
+        } else if (button.classList.contains('move-down')) {
+            neighbour = ranked[index + 1];
         }
+        if (!neighbour) return;
+
+        const instances = await api.settings.getStoredInstances(type);
+        const from = instances.indexOf(ranked[index]);
+        const to = instances.indexOf(neighbour);
+        if (from === -1 || to === -1) return;
+        [instances[from], instances[to]] = [instances[to], instances[from]];
 
         api.settings.saveInstances(instances, type);
         ui.renderApiSettings();
     });
 
-    document.getElementById('clear-cache-btn')?.addEventListener('click', async () => {
-        const btn = document.getElementById('clear-cache-btn');
+    const importInstances = async (load) => {
+        const merge = confirm('Merge with your current instances? Choose Cancel to replace them instead.');
+        try {
+            const instances = await load(merge);
+            await api.clearCache();
+            ui.renderApiSettings();
+            alert(`Imported ${instances.api.length} API and ${instances.streaming.length} streaming instances`);
+        } catch (error) {
+            console.error('Failed to import instances:', error);
+            alert(error.name === 'InstanceBundleError' ? error.message : `Import failed: ${error.message}`);
+        }
+    };
+
+    const importInstancesInput = document.getElementById('import-instances-input');
+    document.getElementById('import-instances-file-btn')?.addEventListener('click', () => {
+        importInstancesInput?.click();
+    });
+
+    importInstancesInput?.addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        e.target.value = '';
+
+        await importInstances(async (merge) => {
+            let data;
+            try {
+                data = JSON.parse(await file.text());
+            } catch {
+                throw new Error('The file is not valid JSON');
+            }
+            return api.settings.importInstanceBundle(data, { merge });
+        });
+    });
+
+    document.getElementById('import-instances-url-btn')?.addEventListener('click', async () => {
+        const url = prompt('Instance bundle URL:');
+        if (!url?.trim()) return;
+        await importInstances((merge) => api.settings.importInstanceBundleFromUrl(url.trim(), { merge }));
+    });
+
+    document.getElementById('cache-purge-all-btn')?.addEventListener('click', async () => {
+        const btn = document.getElementById('cache-purge-all-btn');
         const originalText = btn.textContent;
         btn.textContent = 'Clearing...';
         btn.disabled = true;
@@ -537,16 +641,11 @@ export function initializeSettings(scrobbler, player, api, ui) {
         try {
             await api.clearCache();
             btn.textContent = 'Cleared!';
-            setTimeout(() => {
-                btn.textContent = originalText;
-                btn.disabled = false;
-                if (window.location.hash.includes('settings')) {
-                    ui.renderApiSettings();
-                }
-            }, 1500);
+            await ui.renderCacheInspector();
         } catch (error) {
             console.error('Failed to clear cache:', error);
             btn.textContent = 'Error';
+        } finally {
             setTimeout(() => {
                 btn.textContent = originalText;
                 btn.disabled = false;
@@ -554,6 +653,26 @@ export function initializeSettings(scrobbler, player, api, ui) {
         }
     });
 
+    document.getElementById('cache-inspector')?.addEventListener('click', async (e) => {
+        const button = e.target.closest('[data-purge-type]');
+        if (!button) return;
+
+        button.disabled = true;
+        try {
+            await api.purgeCacheType(button.dataset.purgeType);
+        } catch (error) {
+            console.error('Failed to purge cache entries:', error);
+        }
+        await ui.renderCacheInspector();
+    });
+
+    ['memory', 'disk'].forEach((tier) => {
+        document.getElementById(`cache-${tier}-budget`)?.addEventListener('change', async (e) => {
+            await api.setCacheBudget(tier, Number(e.target.value));
+            await ui.renderCacheInspector();
+        });
+    });
+
     document.getElementById('firebase-clear-cloud-btn')?.addEventListener('click', async () => {
         if (confirm('Are you sure you want to delete ALL your data from the cloud? This cannot be undone.')) {
             try {
@@ -674,4 +793,183 @@ export function initializeSettings(scrobbler, player, api, ui) {
             }
         });
     }
+
+    const subsonicConfigureBtn = document.getElementById('subsonic-configure-btn');
+    const subsonicModal = document.getElementById('subsonic-modal');
+    const subsonicStatus = document.getElementById('subsonic-status');
+    const subsonicProvider = api.getProvider('subsonic');
+
+    const updateSubsonicStatus = () => {
+        if (!subsonicStatus) return;
+        const config = subsonicSettings.get();
+        subsonicStatus.textContent = subsonicSettings.isConfigured()
+            ? `Connected to ${config.url} as ${config.username}`
+            : 'Add a Navidrome or other (Open)Subsonic server as a music source';
+    };
+
+    if (subsonicConfigureBtn && subsonicModal) {
+        const urlInput = document.getElementById('subsonic-url');
+        const usernameInput = document.getElementById('subsonic-username');
+        const passwordInput = document.getElementById('subsonic-password');
+        const saveBtn = document.getElementById('subsonic-save');
+
+        updateSubsonicStatus();
+
+        const closeSubsonicModal = () => {
+            subsonicModal.classList.remove('active');
+            passwordInput.value = '';
+        };
+
+        subsonicConfigureBtn.addEventListener('click', () => {
+            const config = subsonicSettings.get();
+            urlInput.value = config?.url || '';
+            usernameInput.value = config?.username || '';
+            passwordInput.value = '';
+            subsonicModal.classList.add('active');
+        });
+
+        document.getElementById('subsonic-cancel').addEventListener('click', closeSubsonicModal);
+        subsonicModal.querySelector('.modal-overlay').addEventListener('click', closeSubsonicModal);
+
+        document.getElementById('subsonic-disconnect').addEventListener('click', async () => {
+            subsonicSettings.clear();
+            await api.clearCache();
+            updateSubsonicStatus();
+            closeSubsonicModal();
+        });
+
+        saveBtn.addEventListener('click', async () => {
+            const url = urlInput.value.trim();
+            const username = usernameInput.value.trim();
+            const password = passwordInput.value;
+
+            if (!url || !username || !password) {
+                alert('Please enter the server URL, username and password');
+                return;
+            }
+
+            const previous = subsonicSettings.get();
+            subsonicSettings.save({ url, username, ...subsonicProvider.createCredentials(password) });
+
+            saveBtn.textContent = 'Connecting...';
+            saveBtn.disabled = true;
+
+            try {
+                await subsonicProvider.ping();
+                updateSubsonicStatus();
+                closeSubsonicModal();
+            } catch (error) {
+                console.error('Failed to connect to Subsonic server:', error);
+                if (previous) {
+                    subsonicSettings.save(previous);
+                } else {
+                    subsonicSettings.clear();
+                }
+                alert(`Could not connect to the Subsonic server: ${error.message}`);
+            } finally {
+                saveBtn.textContent = 'Connect';
+                saveBtn.disabled = false;
+            }
+        });
+    }
+
+    const jellyfinConfigureBtn = document.getElementById('jellyfin-configure-btn');
+    const jellyfinModal = document.getElementById('jellyfin-modal');
+    const jellyfinStatus = document.getElementById('jellyfin-status');
+    const jellyfinProvider = api.getProvider('jellyfin');
+
+    const updateJellyfinStatus = () => {
+        if (!jellyfinStatus) return;
+        const config = jellyfinSettings.get();
+        jellyfinStatus.textContent = jellyfinSettings.isConfigured()
+            ? `Connected to ${config.url} as ${config.username}`
+            : 'Add a Jellyfin music library as a music source';
+    };
+
+    if (jellyfinConfigureBtn && jellyfinModal) {
+        const urlInput = document.getElementById('jellyfin-url');
+        const apiKeyInput = document.getElementById('jellyfin-api-key');
+        const usernameInput = document.getElementById('jellyfin-username');
+        const containerSelect = document.getElementById('jellyfin-container');
+        const saveBtn = document.getElementById('jellyfin-save');
+        const syncBtn = document.getElementById('jellyfin-sync-now');
+
+        updateJellyfinStatus();
+
+        const closeJellyfinModal = () => {
+            jellyfinModal.classList.remove('active');
+        };
+
+        jellyfinConfigureBtn.addEventListener('click', () => {
+            const config = jellyfinSettings.get();
+            urlInput.value = config?.url || '';
+            apiKeyInput.value = config?.apiKey || '';
+            usernameInput.value = config?.username || '';
+            containerSelect.value = config?.container || 'flac';
+            syncBtn.style.display = jellyfinSettings.isConfigured() ? '' : 'none';
+            jellyfinModal.classList.add('active');
+        });
+
+        document.getElementById('jellyfin-cancel').addEventListener('click', closeJellyfinModal);
+        jellyfinModal.querySelector('.modal-overlay').addEventListener('click', closeJellyfinModal);
+
+        document.getElementById('jellyfin-disconnect').addEventListener('click', async () => {
+            jellyfinSettings.clear();
+            await jellyfinSync.clearLinks();
+            await api.clearCache();
+            updateJellyfinStatus();
+            closeJellyfinModal();
+        });
+
+        syncBtn.addEventListener('click', async () => {
+            syncBtn.textContent = 'Syncing...';
+            syncBtn.disabled = true;
+            try {
+                await jellyfinSync.syncAll();
+            } catch (error) {
+                console.error('Jellyfin playlist sync failed:', error);
+                alert(`Playlist sync failed: ${error.message}`);
+            } finally {
+                syncBtn.textContent = 'Sync Playlists';
+                syncBtn.disabled = false;
+            }
+        });
+
+        saveBtn.addEventListener('click', async () => {
+            const url = urlInput.value.trim();
+            const apiKey = apiKeyInput.value.trim();
+            const username = usernameInput.value.trim();
+            const container = containerSelect.value;
+
+            if (!url || !apiKey) {
+                alert('Please enter the server URL and API key');
+                return;
+            }
+
+            saveBtn.textContent = 'Connecting...';
+            saveBtn.disabled = true;
+
+            try {
+                const previous = jellyfinSettings.get();
+                const user = await jellyfinProvider.resolveUser({ url, apiKey, username });
+
+                // Playlist links belong to one server account
+                if (previous && (previous.url !== url || previous.userId !== user.Id)) {
+                    await jellyfinSync.clearLinks();
+                }
+
+                jellyfinSettings.save({ url, apiKey, username: user.Name, userId: user.Id, container });
+                await api.clearCache();
+                updateJellyfinStatus();
+                closeJellyfinModal();
+                jellyfinSync.syncAll().catch((error) => console.warn('Jellyfin playlist sync failed:', error));
+            } catch (error) {
+                console.error('Failed to connect to Jellyfin server:', error);
+                alert(`Could not connect to the Jellyfin server: ${error.message}`);
+            } finally {
+                saveBtn.textContent = 'Connect';
+                saveBtn.disabled = false;
+            }
+        });
+    }
 }
@@ -0,0 +1,116 @@
+//js/shuffle.js
+// Shuffle strategies for the queue. Every shuffle is driven by a seed, so the same tracks, mode and
+// seed always come out in the same order and a shuffle can be shared as a short code. Weighted shuffles
+// can't: they also depend on the listener's own plays and likes
+
+export const SHUFFLE_MODES = {
+    random: 'Random',
+    spread: 'Spread Artists',
+    weighted: 'Favor Played & Liked',
+    album: 'Album Shuffle',
+};
+
+export const DEFAULT_SHUFFLE_MODE = 'random';
+
+export const isShuffleMode = (mode) => Object.hasOwn(SHUFFLE_MODES, mode);
+
+export const isShareableShuffleMode = (mode) => isShuffleMode(mode) && mode !== 'weighted';
+
+export const createShuffleSeed = () => Math.floor(Math.random() * 0xffffffff).toString(36);
+
+// FNV-1a of the seed feeding mulberry32, returns numbers in [0, 1)
+const createRandom = (seed) => {
+    let state = 0x811c9dc5;
+    for (const char of String(seed)) {
+        state = Math.imul(state ^ char.charCodeAt(0), 0x01000193);
+    }
+    return () => {
+        state = (state + 0x6d2b79f5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+export const fisherYates = (items, random = Math.random) => {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+};
+
+const groupBy = (tracks, getKey) => {
+    const groups = new Map();
+    for (const track of tracks) {
+        const key = getKey(track);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(track);
+    }
+    return [...groups.values()];
+};
+
+const artistKey = (track) => String(track.artist?.id ?? track.artists?.[0]?.id ?? track.artist?.name ?? track.id);
+const albumKey = (track) => String(track.album?.id ?? track.album?.title ?? track.id);
+
+// Each artist's tracks are placed at even intervals along the queue from a random offset, with
+// their albums taking turns, so neither an artist nor an album comes up twice in a row if avoidable
+const spread = (tracks, random) => {
+    const placed = groupBy(tracks, artistKey).flatMap((group) => {
+        const albums = fisherYates(groupBy(group, albumKey), random).map((album) => fisherYates(album, random));
+        const ordered = [];
+        while (ordered.length < group.length) {
+            albums.forEach((album) => album.length && ordered.push(album.shift()));
+        }
+
+        const step = 1 / ordered.length;
+        const offset = random() * step;
+        return ordered.map((track, i) => ({ track, position: offset + i * step + (random() - 0.5) * step * 0.2 }));
+    });
+    return placed.sort((a, b) => a.position - b.position).map(({ track }) => track);
+};
+
+// Weighted sampling without replacement (Efraimidis-Spirakis), heavier tracks tend to come first
+const weighted = (tracks, random, weight) =>
+    tracks
+        .map((track) => ({ track, key: Math.pow(random(), 1 / Math.max(weight(track), 0.01)) }))
+        .sort((a, b) => b.key - a.key)
+        .map(({ track }) => track);
+
+// Albums come up in random order, each one played through as queued
+const album = (tracks, random) => fisherYates(groupBy(tracks, albumKey), random).flat();
+
+const STRATEGIES = { random: fisherYates, spread, weighted, album };
+
+// Returns the shuffled tracks. weight(track) is used by the weighted mode, every track weighs 1 by
+// default. lead is the index of the track to start from: it goes first, and in album shuffle the rest
+// of its album follows, wrapping around to the tracks queued before it. The order of everything else
+// doesn't depend on it
+export function shuffleTracks(tracks, { mode = DEFAULT_SHUFFLE_MODE, seed, weight = () => 1, lead = -1 } = {}) {
+    const strategy = STRATEGIES[mode] || fisherYates;
+    const shuffled = strategy(tracks, createRandom(seed ?? createShuffleSeed()), weight);
+
+    const leader = tracks[lead];
+    if (!leader) return shuffled;
+    let leading = [leader];
+    if (mode === 'album') {
+        const block = shuffled.filter((t) => albumKey(t) === albumKey(leader));
+        const start = block.indexOf(leader);
+        leading = [...block.slice(start), ...block.slice(0, start)];
+    }
+    return [...leading, ...shuffled.filter((t) => !leading.includes(t))];
+}
+
+// Codes look like `spread-1x2k9f`
+export const formatShuffleCode = (mode, seed) => `${mode}-${seed}`;
+
+// Resolves to { mode, seed }, null when the code isn't one
+export function parseShuffleCode(code) {
+    const match = String(code || '')
+        .trim()
+        .toLowerCase()
+        .match(/^([a-z]+)-([0-9a-z]+)$/);
+    if (!match || !isShareableShuffleMode(match[1])) return null;
+    return { mode: match[1], seed: match[2] };
+}
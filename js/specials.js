@@ -45,7 +45,7 @@ export class SpecialsManager {
 
         // Initialize Crossfade
         this.crossfade = new CrossfadeManager(this.player);
-        this.player.crossfadeManager = this.crossfade; // Set reference for volume control
+        this.player.crossfadeManager = this.crossfade; // Consulted when the next track is prepared
         this.crossfade.init();
 
         // Toggle dropdown
@@ -348,11 +348,32 @@ export class SpecialsManager {
                         </div>
                     </div>
 
+                    <div style="margin-bottom: 1.5rem;">
+                        <label for="crossfade-curve-select" style="display: block; margin-bottom: 0.5rem; font-weight: 500;">
+                            Fade Curve
+                        </label>
+                        <select id="crossfade-curve-select" style="width: 100%;">
+                            <option value="equal-power" ${this.crossfade.getCurve() === 'equal-power' ? 'selected' : ''}>Equal Power</option>
+                            <option value="linear" ${this.crossfade.getCurve() === 'linear' ? 'selected' : ''}>Linear</option>
+                            <option value="s-curve" ${this.crossfade.getCurve() === 's-curve' ? 'selected' : ''}>S-Curve</option>
+                        </select>
+                    </div>
+
+                    <div style="display: flex; align-items: center; justify-content: space-between; margin-bottom: 1.5rem;">
+                        <span style="font-weight: 500;">Don't crossfade within an album</span>
+                        <label class="toggle-switch" style="cursor: pointer;">
+                            <input type="checkbox" id="crossfade-skip-album-toggle" ${this.crossfade.isSkippingSameAlbum() ? 'checked' : ''}>
+                            <span class="slider"></span>
+                        </label>
+                    </div>
+
                     <div style="padding: 1rem; background: var(--secondary); border-radius: var(--radius); border-left: 3px solid var(--primary);">
                         <h4 style="margin: 0 0 0.5rem 0; font-size: 0.9rem;">How it works</h4>
                         <p style="margin: 0; font-size: 0.85rem; color: var(--muted-foreground); line-height: 1.5;">
                             Crossfade creates smooth transitions between tracks by gradually fading out the current track while fading in the next one.
                             The duration you set determines how many seconds before the track ends to start the crossfade.
+                            Equal Power keeps the loudness steady through the overlap, Linear dips in the middle and S-Curve lingers on each track longer.
+                            Consecutive tracks of the same album can be left to play back to back, for live albums and DJ mixes.
                         </p>
                     </div>
                 </div>
@@ -379,6 +400,14 @@ export class SpecialsManager {
                 this.crossfade.setDuration(value);
             });
         }
+
+        document.getElementById('crossfade-curve-select')?.addEventListener('change', (e) => {
+            this.crossfade.setCurve(e.target.value);
+        });
+
+        document.getElementById('crossfade-skip-album-toggle')?.addEventListener('change', (e) => {
+            this.crossfade.setSkipSameAlbum(e.target.checked);
+        });
     }
 
     openVisualizer() {
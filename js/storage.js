@@ -1,10 +1,19 @@
 //storage.js
+import { instanceHealth } from './instance-health.js';
+import { parseInstanceBundle, mergeInstanceBundles, InstanceBundleError } from './instance-bundle.js';
+import { instanceProbes } from './instance-probes.js';
+import { db } from './db.js';
+
 export const apiSettings = {
     STORAGE_KEY: 'monochrome-api-instances-v3',
     INSTANCES_URL: 'instances.json',
     SPEED_TEST_CACHE_KEY: 'monochrome-instance-speeds',
     SPEED_TEST_CACHE_DURATION: 1000 * 60 * 60,
+    INSTANCE_META_KEY: 'monochrome-instance-meta',
+    // Requests needing these never go to an instance known to lack them
+    STRICT_CAPABILITIES: ['hires-dash'],
     defaultInstances: { api: [], streaming: [] },
+    defaultMeta: {},
     instancesLoaded: false,
 
     async loadInstancesFromGitHub() {
@@ -16,37 +25,10 @@ export const apiSettings = {
             const response = await fetch(this.INSTANCES_URL);
             if (!response.ok) throw new Error('Failed to fetch instances');
 
-            const data = await response.json();
-
-            let groupedInstances = { api: [], streaming: [] };
-
-            if (Array.isArray(data)) {
-                // Legacy array format
-                groupedInstances.api = [...data];
-                groupedInstances.streaming = [...data];
-            } else {
-                // New object format or legacy object format
-                if (data.api && Array.isArray(data.api)) {
-                    const isSimpleArray = data.api.length > 0 && typeof data.api[0] === 'string';
-                    if (isSimpleArray) {
-                        groupedInstances.api = [...data.api];
-                    } else {
-                        for (const [, config] of Object.entries(data.api)) {
-                            if (config.cors === false && Array.isArray(config.urls)) {
-                                groupedInstances.api.push(...config.urls);
-                            }
-                        }
-                    }
-                }
-
-                if (data.streaming && Array.isArray(data.streaming)) {
-                    groupedInstances.streaming = [...data.streaming];
-                } else if (groupedInstances.api.length > 0) {
-                    groupedInstances.streaming = [...groupedInstances.api];
-                }
-            }
+            const { meta, ...groupedInstances } = parseInstanceBundle(await response.json());
 
             this.defaultInstances = groupedInstances;
+            this.defaultMeta = meta;
             this.instancesLoaded = true;
 
             return groupedInstances;
@@ -77,6 +59,66 @@ export const apiSettings = {
         }
     },
 
+    // Metadata from imported bundles, layered over what instances.json declares
+    getImportedMeta() {
+        try {
+            return JSON.parse(localStorage.getItem(this.INSTANCE_META_KEY)) || {};
+        } catch {
+            return {};
+        }
+    },
+
+    getInstanceMeta(url) {
+        const meta = { ...this.defaultMeta[url], ...this.getImportedMeta()[url] };
+        return {
+            capabilities: meta.capabilities ?? null,
+            region: meta.region ?? null,
+            weight: meta.weight ?? 1,
+            note: meta.note ?? null,
+        };
+    },
+
+    // true/false from a fresh probe or the declared capabilities, null when neither says
+    supportsCapability(url, capability) {
+        const probed = instanceProbes.supports(url, capability);
+        if (probed !== null) return probed;
+
+        const { capabilities } = this.getInstanceMeta(url);
+        return capabilities ? capabilities.includes(capability) : null;
+    },
+
+    // Replaces the instance lists with the bundle, or merges it into the current ones.
+    // Throws an InstanceBundleError when the bundle doesn't validate
+    async importInstanceBundle(data, { merge = true } = {}) {
+        const bundle = parseInstanceBundle(data);
+        await this.loadInstancesFromGitHub();
+
+        const stored = localStorage.getItem(this.STORAGE_KEY);
+        const current = {
+            ...(stored ? JSON.parse(stored) : this.defaultInstances),
+            meta: this.getImportedMeta(),
+        };
+        const { meta, ...instances } = merge ? mergeInstanceBundles(current, bundle) : bundle;
+
+        this.saveInstances(instances);
+        localStorage.setItem(this.INSTANCE_META_KEY, JSON.stringify(meta));
+
+        return instances;
+    },
+
+    async importInstanceBundleFromUrl(url, options) {
+        const response = await fetch(url, { cache: 'no-store' });
+        if (!response.ok) throw new Error(`Failed to fetch instance bundle: HTTP ${response.status}`);
+
+        let data;
+        try {
+            data = await response.json();
+        } catch {
+            throw new InstanceBundleError(['Response is not valid JSON']);
+        }
+        return this.importInstanceBundle(data, options);
+    },
+
     async speedTestInstance(url, type = 'api') {
         let testUrl;
         // API instances might not support /track/ endpoint (which checks for streamability)
@@ -170,7 +212,7 @@ export const apiSettings = {
         return results;
     },
 
-    async getInstances(type = 'api') {
+    async getInstances(type = 'api', capability = null) {
         let instancesObj;
 
         const stored = localStorage.getItem(this.STORAGE_KEY);
@@ -189,8 +231,10 @@ export const apiSettings = {
             }
         }
 
+        // Always loaded once per session, it also provides the instance metadata
+        const defaults = await this.loadInstancesFromGitHub();
         if (!instancesObj) {
-            instancesObj = await this.loadInstancesFromGitHub();
+            instancesObj = defaults;
         }
 
         const targetUrls = instancesObj[type] || instancesObj.api || [];
@@ -208,10 +252,11 @@ export const apiSettings = {
             Object.assign(speedCache, this.getCachedSpeedTests());
         }
 
+        // Declared weights scale the measured speed, a weight of 2 makes an instance count as twice as fast
         const sortList = (list) => {
             return [...list].sort((a, b) => {
-                const speedA = speedCache.speeds[getCacheKey(a)]?.speed ?? Infinity;
-                const speedB = speedCache.speeds[getCacheKey(b)]?.speed ?? Infinity;
+                const speedA = (speedCache.speeds[getCacheKey(a)]?.speed ?? Infinity) / this.getInstanceMeta(a).weight;
+                const speedB = (speedCache.speeds[getCacheKey(b)]?.speed ?? Infinity) / this.getInstanceMeta(b).weight;
                 return speedA - speedB;
             });
         };
@@ -222,11 +267,31 @@ export const apiSettings = {
         instancesObj[type] = sortedList;
         this.saveInstances(instancesObj);
 
-        return sortedList;
+        // Live health only affects this session's routing, not the persisted order
+        const ranked = instanceHealth.rank(sortedList, type);
+        if (!capability) return ranked;
+
+        // Instances declaring the capability go first, undeclared or unreachable ones next, the rest stay as
+        // a last resort. Strict capabilities drop the rest, only instances known to lack them are left out
+        const score = (url) => ({ true: 0, null: 1, false: 2 })[this.supportsCapability(url, capability)];
+        const strict = this.STRICT_CAPABILITIES.includes(capability);
+        return ranked
+            .map((url, index) => ({ url, index, score: score(url) }))
+            .filter((item) => !strict || item.score < 2)
+            .sort((a, b) => a.score - b.score || a.index - b.index)
+            .map((item) => item.url);
+    },
+
+    // The saved order, before the session's health and capability ranking
+    async getStoredInstances(type = 'api') {
+        const stored = localStorage.getItem(this.STORAGE_KEY);
+        const instances = stored ? JSON.parse(stored) : await this.loadInstancesFromGitHub();
+        return [...(instances[type] || instances.api || [])];
     },
 
     async refreshSpeedTests() {
-        const instances = await this.loadInstancesFromGitHub();
+        const stored = localStorage.getItem(this.STORAGE_KEY);
+        const instances = stored ? JSON.parse(stored) : await this.loadInstancesFromGitHub();
         const promises = [];
 
         if (instances.api && instances.api.length) {
@@ -505,6 +570,22 @@ export const trackListSettings = {
     },
 };
 
+export const discographySettings = {
+    STORAGE_KEY: 'artist-discography-sort',
+
+    getSort() {
+        try {
+            return localStorage.getItem(this.STORAGE_KEY) === 'popularity' ? 'popularity' : 'date';
+        } catch {
+            return 'date';
+        }
+    },
+
+    setSort(order) {
+        localStorage.setItem(this.STORAGE_KEY, order);
+    },
+};
+
 export const cardSettings = {
     COMPACT_ARTIST_KEY: 'card-compact-artist',
     COMPACT_ALBUM_KEY: 'card-compact-album',
@@ -553,6 +634,136 @@ export const replayGainSettings = {
     },
 };
 
+export const hedgingSettings = {
+    STORAGE_KEY: 'hedged-requests',
+    // Hedge delay is how long the first instance gets before a second one is raced against it
+    defaults: {
+        api: { enabled: true, delay: 400 },
+        streaming: { enabled: true, delay: 600 },
+    },
+
+    getAll() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.STORAGE_KEY)) || {};
+            return {
+                api: { ...this.defaults.api, ...stored.api },
+                streaming: { ...this.defaults.streaming, ...stored.streaming },
+            };
+        } catch {
+            return { api: { ...this.defaults.api }, streaming: { ...this.defaults.streaming } };
+        }
+    },
+
+    getPolicy(type = 'api') {
+        const all = this.getAll();
+        return all[type] || all.api;
+    },
+
+    setPolicy(type, policy) {
+        const all = this.getAll();
+        all[type] = { ...all[type], ...policy };
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(all));
+        } catch (e) {
+            console.error('Failed to save hedging settings:', e);
+        }
+    },
+
+    isEnabled(type = 'api') {
+        return this.getPolicy(type).enabled;
+    },
+
+    setEnabled(type, enabled) {
+        this.setPolicy(type, { enabled: !!enabled });
+    },
+
+    getDelay(type = 'api') {
+        return this.getPolicy(type).delay;
+    },
+
+    setDelay(type, delay) {
+        this.setPolicy(type, { delay: Math.min(Math.max(Math.round(delay), 50), 5000) });
+    },
+};
+
+export const cacheSettings = {
+    STORAGE_KEY: 'api-cache-budgets',
+    // Megabytes for the in-memory and IndexedDB tiers of the API cache
+    defaults: { memory: 8, disk: 50 },
+
+    getBudgets() {
+        try {
+            return { ...this.defaults, ...JSON.parse(localStorage.getItem(this.STORAGE_KEY)) };
+        } catch {
+            return { ...this.defaults };
+        }
+    },
+
+    setBudget(tier, megabytes) {
+        const budgets = { ...this.getBudgets(), [tier]: megabytes };
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(budgets));
+        } catch (e) {
+            console.error('Failed to save cache budgets:', e);
+        }
+    },
+};
+
+export const subsonicSettings = {
+    STORAGE_KEY: 'subsonic-server',
+
+    // Only the salted token is stored, never the password
+    get() {
+        try {
+            return JSON.parse(localStorage.getItem(this.STORAGE_KEY)) || null;
+        } catch {
+            return null;
+        }
+    },
+
+    isConfigured() {
+        const config = this.get();
+        return !!(config?.url && config?.username && config?.token && config?.salt);
+    },
+
+    save(config) {
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(config));
+    },
+
+    clear() {
+        localStorage.removeItem(this.STORAGE_KEY);
+    },
+};
+
+export const jellyfinSettings = {
+    STORAGE_KEY: 'jellyfin-server',
+    CONTAINERS: ['flac', 'mp3', 'aac', 'opus'],
+
+    get() {
+        try {
+            const config = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+            return config ? { container: 'flac', ...config } : null;
+        } catch {
+            return null;
+        }
+    },
+
+    isConfigured() {
+        const config = this.get();
+        return !!(config?.url && config?.apiKey && config?.userId);
+    },
+
+    // Jellyfin tracks active sessions per device, keep one stable id per browser
+    save(config) {
+        const deviceId = config.deviceId || this.get()?.deviceId || crypto.randomUUID();
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify({ ...config, deviceId }));
+    },
+
+    clear() {
+        localStorage.removeItem(this.STORAGE_KEY);
+    },
+};
+
 export const downloadQualitySettings = {
     STORAGE_KEY: 'download-quality',
     getQuality() {
@@ -632,34 +843,89 @@ export const bulkDownloadSettings = {
     },
 };
 
-export const queueManager = {
-    STORAGE_KEY: 'monochrome-queue',
+export const autoplaySettings = {
+    STORAGE_KEY: 'autoplay-enabled',
 
-    getQueue() {
+    isEnabled() {
         try {
-            const data = localStorage.getItem(this.STORAGE_KEY);
-            return data ? JSON.parse(data) : null;
+            return localStorage.getItem(this.STORAGE_KEY) === 'true';
         } catch {
+            return false;
+        }
+    },
+
+    setEnabled(enabled) {
+        localStorage.setItem(this.STORAGE_KEY, enabled ? 'true' : 'false');
+    },
+};
+
+// The playing queue and the queues saved by name. They live in IndexedDB, large queues don't fit
+// in localStorage's quota
+export const queueManager = {
+    STATE_KEY: 'queue-state',
+    LEGACY_STORAGE_KEY: 'monochrome-queue',
+
+    // Only the fields that make up the queue, not whatever else the caller passes
+    pickState(queueState) {
+        return {
+            queue: queueState.queue,
+            shuffledQueue: queueState.shuffledQueue,
+            originalQueueBeforeShuffle: queueState.originalQueueBeforeShuffle,
+            currentQueueIndex: queueState.currentQueueIndex,
+            shuffleActive: queueState.shuffleActive,
+            shuffleMode: queueState.shuffleMode,
+            shuffleSeed: queueState.shuffleSeed,
+            repeatMode: queueState.repeatMode,
+            savedQueueId: queueState.savedQueueId,
+        };
+    },
+
+    async getQueue() {
+        try {
+            const state = await db.getSetting(this.STATE_KEY);
+            if (state) return state;
+
+            // Queues saved before they moved to IndexedDB
+            const legacy = localStorage.getItem(this.LEGACY_STORAGE_KEY);
+            if (!legacy) return null;
+            const parsed = JSON.parse(legacy);
+            await this.saveQueue(parsed);
+            localStorage.removeItem(this.LEGACY_STORAGE_KEY);
+            return parsed;
+        } catch (e) {
+            console.warn('Failed to load queue:', e);
             return null;
         }
     },
 
-    saveQueue(queueState) {
+    async saveQueue(queueState) {
         try {
-            // Only save essential data to avoid quota limits
-            const minimalState = {
-                queue: queueState.queue,
-                shuffledQueue: queueState.shuffledQueue,
-                originalQueueBeforeShuffle: queueState.originalQueueBeforeShuffle,
-                currentQueueIndex: queueState.currentQueueIndex,
-                shuffleActive: queueState.shuffleActive,
-                repeatMode: queueState.repeatMode,
-            };
-            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(minimalState));
+            await db.saveSetting(this.STATE_KEY, this.pickState(queueState));
         } catch (e) {
-            console.warn('Failed to save queue to localStorage:', e);
+            console.warn('Failed to save queue:', e);
         }
     },
+
+    getSavedQueues() {
+        return db.getSavedQueues();
+    },
+
+    async getSavedQueue(id) {
+        const entry = await db.getSavedQueue(id);
+        return entry ? { ...entry, state: this.pickState(entry.state) } : null;
+    },
+
+    saveNamedQueue(name, queueState) {
+        return db.saveNamedQueue(name, this.pickState(queueState));
+    },
+
+    updateSavedQueue(id, queueState) {
+        return db.updateSavedQueue(id, this.pickState(queueState));
+    },
+
+    deleteSavedQueue(id) {
+        return db.deleteSavedQueue(id);
+    },
 };
 
 // System theme listener
@@ -0,0 +1,107 @@
+//js/track-matching.js
+// Finds the same recording across remasters, deluxe editions and compilations, which all carry
+// their own track ids. Tracks match on ISRC, or on normalized title and primary artist when the
+// durations agree (remasters often get a new ISRC)
+
+// Seconds two editions of a recording may differ by
+const DURATION_TOLERANCE = 4;
+
+// Edition tags that don't change the recording. Live, remix, acoustic, demo etc. are kept
+const EDITION_PATTERN =
+    /\b(\d{4}\s+)?(remaster(ed)?|re-?master(ed)?|deluxe|expanded|anniversary|edition|bonus track|album version|single version|explicit|clean|mono|stereo)\b/i;
+
+const stripAccents = (value) => value.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+export function normalizeTrackTitle(title = '') {
+    return (
+        stripAccents(title.toLowerCase())
+            // (feat. X) / [ft. X] / - feat. X
+            .replace(/[([]\s*(feat|ft|featuring)\.?\s[^)\]]*[)\]]/g, ' ')
+            .replace(/\s-\s*(feat|ft|featuring)\.?\s.*$/, ' ')
+            // (2011 Remaster) / [Deluxe Edition]
+            .replace(/[([]([^)\]]*)[)\]]/g, (match, inner) => (EDITION_PATTERN.test(inner) ? ' ' : match))
+            // - 2011 Remaster / - Remastered Version
+            .replace(/\s-\s([^-]*)$/, (match, tail) => (EDITION_PATTERN.test(tail) ? ' ' : match))
+            .replace(/&/g, ' and ')
+            .replace(/[^\p{L}\p{N}]+/gu, ' ')
+            .trim()
+    );
+}
+
+const normalizeArtist = (track) =>
+    stripAccents((track.artist?.name || track.artists?.[0]?.name || '').toLowerCase())
+        .replace(/^the\s+/, '')
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+
+const normalizeIsrc = (isrc) => (typeof isrc === 'string' ? isrc.replace(/[^A-Z0-9]/gi, '').toUpperCase() : '');
+
+// Title and artist key, tracks sharing it still need matching durations
+export function getTrackTitleKey(track) {
+    const title = normalizeTrackTitle(track.title || '');
+    return title ? `${title}|${normalizeArtist(track)}` : null;
+}
+
+export function isSameRecording(a, b) {
+    if (!a || !b) return false;
+    if (a.id === b.id) return true;
+
+    const isrcA = normalizeIsrc(a.isrc);
+    if (isrcA && isrcA === normalizeIsrc(b.isrc)) return true;
+
+    const key = getTrackTitleKey(a);
+    if (!key || key !== getTrackTitleKey(b)) return false;
+    if (!a.duration || !b.duration) return true;
+    return Math.abs(a.duration - b.duration) <= DURATION_TOLERANCE;
+}
+
+// Groups tracks into lists of the same recording, keeping first-seen order within and across groups
+export function groupEquivalentTracks(tracks) {
+    const groups = [];
+    const byIsrc = new Map();
+    const byTitle = new Map();
+
+    for (const track of tracks) {
+        if (!track) continue;
+
+        const isrc = normalizeIsrc(track.isrc);
+        const titleKey = getTrackTitleKey(track);
+        const group =
+            (isrc && byIsrc.get(isrc)) ||
+            (titleKey && (byTitle.get(titleKey) || []).find((candidate) => isSameRecording(candidate[0], track)));
+
+        if (group) {
+            group.push(track);
+            if (isrc && !byIsrc.has(isrc)) byIsrc.set(isrc, group);
+            continue;
+        }
+
+        const created = [track];
+        groups.push(created);
+        if (isrc) byIsrc.set(isrc, created);
+        if (titleKey) byTitle.set(titleKey, [...(byTitle.get(titleKey) || []), created]);
+    }
+
+    return groups;
+}
+
+// Keeps the first version of every recording, returns { tracks, removed }
+export function dedupeTracks(tracks) {
+    const kept = [];
+    const removed = [];
+    for (const group of groupEquivalentTracks(tracks)) {
+        kept.push(group[0]);
+        removed.push(...group.slice(1));
+    }
+    return { tracks: kept, removed };
+}
+
+// Every track in pool that is the same recording as track, without track itself or repeats
+export function findOtherVersions(track, pool) {
+    const seen = new Set([track.id]);
+    return pool.filter((candidate) => {
+        if (!candidate || seen.has(candidate.id) || !isSameRecording(track, candidate)) return false;
+        seen.add(candidate.id);
+        return true;
+    });
+}
@@ -4,6 +4,7 @@ import {
     SVG_BIN,
     SVG_HEART,
     SVG_DOWNLOAD,
+    SVG_PLUS,
     formatTime,
     getTrackTitle,
     getTrackArtists,
@@ -11,6 +12,7 @@ import {
 } from './utils.js';
 import { sidePanelManager } from './side-panel.js';
 import { downloadQualitySettings } from './storage.js';
+import { SHUFFLE_MODES } from './shuffle.js';
 
 export function initializeUIInteractions(player, api) {
     const sidebar = document.querySelector('.sidebar');
@@ -45,6 +47,15 @@ export function initializeUIInteractions(player, api) {
         const showActionBtns = currentQueue.length > 0;
 
         container.innerHTML = `
+            <button id="undo-queue-btn" class="btn-icon" title="Undo" ${player.canUndoQueueChange() ? '' : 'disabled'}>
+                <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M9 14 4 9l5-5"/><path d="M4 9h10.5a5.5 5.5 0 0 1 0 11H11"/></svg>
+            </button>
+            <button id="redo-queue-btn" class="btn-icon" title="Redo" ${player.canRedoQueueChange() ? '' : 'disabled'}>
+                <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="m15 14 5-5-5-5"/><path d="M20 9H9.5a5.5 5.5 0 0 0 0 11H13"/></svg>
+            </button>
+            <button id="saved-queues-btn" class="btn-icon" title="Saved Queues">
+                <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="m19 21-7-4-7 4V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2v16z"/></svg>
+            </button>
             <button id="download-queue-btn" class="btn-icon" title="Download Queue" style="display: ${showActionBtns ? 'flex' : 'none'}">
                 ${SVG_DOWNLOAD}
             </button>
@@ -69,6 +80,18 @@ export function initializeUIInteractions(player, api) {
             sidePanelManager.close();
         });
 
+        container.querySelector('#undo-queue-btn').addEventListener('click', () => {
+            player.undoQueueChange();
+            refreshQueuePanel();
+        });
+
+        container.querySelector('#redo-queue-btn').addEventListener('click', () => {
+            player.redoQueueChange();
+            refreshQueuePanel();
+        });
+
+        container.querySelector('#saved-queues-btn').addEventListener('click', openSavedQueuesModal);
+
         const downloadBtn = container.querySelector('#download-queue-btn');
         if (downloadBtn) {
             downloadBtn.addEventListener('click', async () => {
@@ -193,14 +216,52 @@ export function initializeUIInteractions(player, api) {
             return;
         }
 
+        const shuffleCode = player.getShuffleCode();
+        const shuffleBar = `
+            <div class="queue-shuffle-bar">
+                <select id="queue-shuffle-mode" title="Shuffle mode">
+                    ${Object.entries(SHUFFLE_MODES)
+                        .map(
+                            ([mode, label]) =>
+                                `<option value="${mode}" ${mode === player.shuffleMode ? 'selected' : ''}>${label}</option>`
+                        )
+                        .join('')}
+                </select>
+                ${shuffleCode ? `<button id="copy-shuffle-code-btn" class="btn-secondary" title="Copy shuffle code">${shuffleCode}</button>` : ''}
+                <button id="enter-shuffle-code-btn" class="btn-secondary" title="Shuffle with a code">Use Code</button>
+            </div>
+        `;
+
+        // Autoplay suggestions that haven't played get a section of their own at the end
+        const autoplayStart = player.getAutoplayStart();
+        const autoplayHeader = `
+            <div class="queue-section-header">
+                <span>Autoplay</span>
+                <button id="clear-autoplay-btn" class="btn-secondary" title="Remove the suggestions">Clear</button>
+            </div>
+        `;
+
+        const hasPlayed = player.currentQueueIndex > 0;
+        const sectionHeader = (index) => {
+            if (index === autoplayStart) return autoplayHeader;
+            if (!hasPlayed) return '';
+            if (index === 0) return '<div class="queue-section-header"><span>Previously Played</span></div>';
+            if (index === player.currentQueueIndex)
+                return '<div class="queue-section-header"><span>Now Playing</span></div>';
+            return '';
+        };
+
         const html = currentQueue
             .map((track, index) => {
                 const isPlaying = index === player.currentQueueIndex;
+                const hasPlayedTrack = index < player.currentQueueIndex;
+                const isAutoplay = index >= autoplayStart;
                 const trackTitle = getTrackTitle(track);
                 const trackArtists = getTrackArtists(track, { fallback: 'Unknown' });
 
                 return `
-                <div class="queue-track-item ${isPlaying ? 'playing' : ''}" data-queue-index="${index}" data-track-id="${track.id}" draggable="true">
+                ${sectionHeader(index)}
+                <div class="queue-track-item ${isPlaying ? 'playing' : ''} ${hasPlayedTrack ? 'played' : ''} ${isAutoplay ? 'autoplay' : ''}" data-queue-index="${index}" data-track-id="${track.id}" draggable="true">
                     <div class="drag-handle">
                         <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                             <line x1="5" y1="8" x2="19" y2="8"></line>
@@ -213,9 +274,11 @@ export function initializeUIInteractions(player, api) {
                         <div class="track-item-details">
                             <div class="title">${escapeHtml(trackTitle)}</div>
                             <div class="artist">${escapeHtml(trackArtists)}</div>
+                            ${isAutoplay && track.recommendationReason ? `<div class="queue-autoplay-reason">${escapeHtml(track.recommendationReason)}</div>` : ''}
                         </div>
                     </div>
                     <div class="track-item-duration">${formatTime(track.duration)}</div>
+                    ${isAutoplay ? `<button class="queue-promote-btn" title="Keep in queue">${SVG_PLUS}</button>` : ''}
                     <button class="queue-like-btn" data-action="toggle-like" title="Add to Liked">
                         ${SVG_HEART}
                     </button>
@@ -227,7 +290,35 @@ export function initializeUIInteractions(player, api) {
             })
             .join('');
 
-        container.innerHTML = html;
+        container.innerHTML = shuffleBar + html;
+
+        container.querySelector('#queue-shuffle-mode').addEventListener('change', async (e) => {
+            await player.setShuffleMode(e.target.value);
+            refreshQueuePanel();
+        });
+
+        container.querySelector('#copy-shuffle-code-btn')?.addEventListener('click', async () => {
+            const { showNotification } = await import('./downloads.js');
+            navigator.clipboard.writeText(shuffleCode).then(() => showNotification('Shuffle code copied'));
+        });
+
+        container.querySelector('#enter-shuffle-code-btn').addEventListener('click', async () => {
+            const code = prompt('Shuffle code:');
+            if (!code) return;
+
+            const { showNotification } = await import('./downloads.js');
+            if (!(await player.applyShuffleCode(code))) {
+                showNotification('Invalid shuffle code');
+                return;
+            }
+            document.getElementById('shuffle-btn')?.classList.add('active');
+            refreshQueuePanel();
+        });
+
+        container.querySelector('#clear-autoplay-btn')?.addEventListener('click', () => {
+            player.clearAutoplay();
+            refreshQueuePanel();
+        });
 
         container.querySelectorAll('.queue-track-item').forEach(async (item) => {
             const index = parseInt(item.dataset.queueIndex);
@@ -245,6 +336,13 @@ export function initializeUIInteractions(player, api) {
             }
 
             item.addEventListener('click', async (e) => {
+                if (e.target.closest('.queue-promote-btn')) {
+                    e.stopPropagation();
+                    player.promoteAutoplay(index);
+                    refreshQueuePanel();
+                    return;
+                }
+
                 const removeBtn = e.target.closest('.queue-remove-btn');
                 if (removeBtn) {
                     e.stopPropagation();
@@ -346,6 +444,91 @@ export function initializeUIInteractions(player, api) {
         });
     };
 
+    const openSavedQueuesModal = async () => {
+        const { showNotification } = await import('./downloads.js');
+        const savedQueues = await player.getSavedQueues();
+        const currentName = savedQueues.find((q) => q.id === player.savedQueueId)?.name || '';
+
+        const modal = document.createElement('div');
+        modal.className = 'modal active';
+        modal.innerHTML = `
+            <div class="modal-overlay"></div>
+            <div class="modal-content">
+                <h3>Saved Queues</h3>
+                <div class="saved-queue-form">
+                    <input type="text" class="template-input saved-queue-name" placeholder="Queue name" value="${escapeHtml(currentName)}" />
+                    <button class="btn-primary save-queue-btn" ${player.getCurrentQueue().length > 0 ? '' : 'disabled'}>Save</button>
+                </div>
+                <div class="modal-list">
+                    ${
+                        savedQueues.length === 0
+                            ? '<div class="placeholder-text">No saved queues yet.</div>'
+                            : savedQueues
+                                  .map((entry) => {
+                                      const count =
+                                          (entry.state.shuffleActive ? entry.state.shuffledQueue : entry.state.queue)
+                                              ?.length || 0;
+                                      return `
+                                <div class="modal-option saved-queue-option ${entry.id === player.savedQueueId ? 'current' : ''}" data-id="${entry.id}">
+                                    <div class="saved-queue-info">
+                                        <span class="saved-queue-title">${escapeHtml(entry.name)}</span>
+                                        <span class="saved-queue-count">${count} track${count === 1 ? '' : 's'}</span>
+                                    </div>
+                                    <button class="btn-icon delete-saved-queue-btn" title="Delete">${SVG_BIN}</button>
+                                </div>
+                            `;
+                                  })
+                                  .join('')
+                    }
+                </div>
+                <div class="modal-actions">
+                    <button class="btn-secondary cancel-btn">Close</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        const closeModal = () => {
+            modal.remove();
+        };
+
+        modal.addEventListener('click', async (e) => {
+            if (e.target.classList.contains('modal-overlay') || e.target.classList.contains('cancel-btn')) {
+                closeModal();
+                return;
+            }
+
+            if (e.target.closest('.save-queue-btn')) {
+                const name = modal.querySelector('.saved-queue-name').value.trim();
+                if (!name) {
+                    showNotification('Enter a name for the queue');
+                    return;
+                }
+                await player.saveQueueAs(name);
+                showNotification(`Saved queue: ${name}`);
+                closeModal();
+                return;
+            }
+
+            const option = e.target.closest('.saved-queue-option');
+            if (!option) return;
+
+            if (e.target.closest('.delete-saved-queue-btn')) {
+                await player.deleteSavedQueue(option.dataset.id);
+                option.remove();
+                return;
+            }
+
+            if (await player.switchToSavedQueue(option.dataset.id)) {
+                document.getElementById('shuffle-btn')?.classList.toggle('active', player.shuffleActive);
+                showNotification(`Playing queue: ${option.querySelector('.saved-queue-title').textContent}`);
+            }
+            closeModal();
+            refreshQueuePanel();
+        });
+    };
+
     const refreshQueuePanel = () => {
         sidePanelManager.refresh('queue', renderQueueControls, renderQueueContent);
     };
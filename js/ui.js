@@ -17,10 +17,35 @@ import {
     escapeHtml,
 } from './utils.js';
 import { openLyricsPanel } from './lyrics.js';
-import { recentActivityManager, backgroundSettings, cardSettings } from './storage.js';
+import { recentActivityManager, backgroundSettings, cardSettings, discographySettings } from './storage.js';
 import { db } from './db.js';
 import { getVibrantColorFromImage } from './vibrant-color.js';
 import { syncManager } from './accounts/pocketbase.js';
+import { instanceHealth } from './instance-health.js';
+import { instanceProbes } from './instance-probes.js';
+import { ListeningStats } from './listening-stats.js';
+import { isSameRecording, normalizeTrackTitle, findOtherVersions } from './track-matching.js';
+import { groupCredits, createCreditsHTML, handleCreditClick } from './credits.js';
+import { DISCOGRAPHY_GROUPS, groupDiscography } from './discography.js';
+import {
+    parseSearchQuery,
+    getUpstreamSearchText,
+    matchesSearchFilters,
+    removeSearchQualifier,
+} from './search-query.js';
+
+const SEARCH_PAGE_SIZE = 25;
+const TRACK_PAGE_LIST_SIZE = 10;
+const TRACK_LYRICS_PREVIEW_LINES = 8;
+const VIBRANT_COLOR_PROPERTIES = [
+    '--primary',
+    '--primary-foreground',
+    '--highlight',
+    '--highlight-rgb',
+    '--active-highlight',
+    '--ring',
+    '--track-hover-bg',
+];
 
 export class UIRenderer {
     constructor(api, player) {
@@ -28,6 +53,8 @@ export class UIRenderer {
         this.player = player;
         this.currentTrack = null;
         this.searchAbortController = null;
+        this.searchState = null;
+        this.searchLoadMoreObserver = null;
         this.vibrantColorCache = new Map();
     }
 
@@ -244,6 +271,7 @@ export class UIRenderer {
                             ${qualityBadge}
                         </div>
                         <div class="artist">${escapeHtml(trackArtists)}${yearDisplay}</div>
+                        ${track.recommendationReason ? `<div class="recommendation-reason">${escapeHtml(track.recommendationReason)}</div>` : ''}
                     </div>
                 </div>
                 <div class="track-item-duration">${isUnavailable ? '--:--' : track.duration ? formatTime(track.duration) : '--:--'}</div>
@@ -619,13 +647,30 @@ export class UIRenderer {
 
     resetVibrantColor() {
         const root = document.documentElement;
-        root.style.removeProperty('--primary');
-        root.style.removeProperty('--primary-foreground');
-        root.style.removeProperty('--highlight');
-        root.style.removeProperty('--highlight-rgb');
-        root.style.removeProperty('--active-highlight');
-        root.style.removeProperty('--ring');
-        root.style.removeProperty('--track-hover-bg');
+        VIBRANT_COLOR_PROPERTIES.forEach((property) => root.style.removeProperty(property));
+    }
+
+    // Background image and vibrant colors of the page on screen, for the page cache to put back
+    getPageTheme() {
+        const bgElement = document.getElementById('page-background');
+        const match =
+            bgElement.classList.contains('active') && bgElement.style.backgroundImage.match(/url\("?(.+?)"?\)/);
+        const root = document.documentElement;
+        return {
+            background: match ? match[1] : null,
+            colors: Object.fromEntries(
+                VIBRANT_COLOR_PROPERTIES.map((property) => [property, root.style.getPropertyValue(property)])
+            ),
+        };
+    }
+
+    applyPageTheme({ background, colors }) {
+        this.setPageBackground(background);
+        const root = document.documentElement;
+        for (const [property, value] of Object.entries(colors)) {
+            if (value) root.style.setProperty(property, value);
+            else root.style.removeProperty(property);
+        }
     }
 
     async showFullscreenCover(track, nextTrack, lyricsManager, audioPlayer) {
@@ -691,9 +736,10 @@ export class UIRenderer {
         });
 
         document.querySelector('.main-content').scrollTop = 0;
+        document.querySelectorAll('.cached-marker').forEach((marker) => marker.remove());
 
-        // Clear background and color if not on album, artist, playlist, or mix page
-        if (!['album', 'artist', 'playlist', 'mix'].includes(pageId)) {
+        // Clear background and color if not on album, artist, playlist, mix or track page
+        if (!['album', 'artist', 'playlist', 'mix', 'track'].includes(pageId)) {
             this.setPageBackground(null);
             this.updateGlobalTheme();
         }
@@ -703,6 +749,37 @@ export class UIRenderer {
         }
     }
 
+    // Flags the active page as showing expired data the API cache fell back to. Several
+    // fallbacks on one page share a marker showing the oldest copy
+    showCachedMarker(cachedAt, reason) {
+        const page = document.querySelector('.page.active');
+        if (!page) return;
+
+        let marker = page.querySelector(':scope > .cached-marker');
+        if (!marker) {
+            marker = document.createElement('div');
+            marker.className = 'cached-marker';
+            page.prepend(marker);
+        }
+
+        const oldest = Math.min(cachedAt, Number(marker.dataset.cachedAt) || Infinity);
+        marker.dataset.cachedAt = oldest;
+
+        const minutes = Math.round((Date.now() - oldest) / 60000);
+        const age =
+            minutes < 60
+                ? `${minutes} min ago`
+                : minutes < 60 * 24
+                  ? `${Math.round(minutes / 60)} h ago`
+                  : `${Math.round(minutes / (60 * 24))} d ago`;
+
+        marker.textContent = `Cached · saved ${age}`;
+        marker.title =
+            reason === 'offline'
+                ? 'You are offline, showing a saved copy'
+                : 'The servers could not be reached, showing a saved copy';
+    }
+
     async renderLibraryPage() {
         this.showPage('library');
 
@@ -908,9 +985,8 @@ export class UIRenderer {
             try {
                 const seeds = await this.getSeeds();
                 const trackSeeds = seeds.slice(0, 5);
-                const recommendedTracks = await this.api.getRecommendedTracksForPlaylist(trackSeeds, 20);
-
-                const filteredTracks = await this.filterUserContent(recommendedTracks, 'track');
+                const signals = await this.getRecommendationSignals();
+                const filteredTracks = await this.api.getRecommendedTracksForPlaylist(trackSeeds, 20, signals);
 
                 if (filteredTracks.length > 0) {
                     this.renderListWithTracks(songsContainer, filteredTracks, true);
@@ -1055,6 +1131,14 @@ export class UIRenderer {
         }
     }
 
+    async getRecommendationSignals() {
+        const [likedTracks, playlists] = await Promise.all([db.getFavorites('track'), db.getPlaylists(true)]);
+        const ownedTrackIds = new Set(likedTracks.map((t) => t.id));
+        playlists.forEach((p) => p.tracks?.forEach((t) => ownedTrackIds.add(t.id)));
+
+        return { ...new ListeningStats().getPlaySignals(), ownedTrackIds };
+    }
+
     async filterUserContent(items, type) {
         if (!items || items.length === 0) return [];
 
@@ -1102,7 +1186,12 @@ export class UIRenderer {
 
     async renderSearchPage(query) {
         this.showPage('search');
-        document.getElementById('search-results-title').textContent = `Search Results for "${query}"`;
+
+        const parsed = parseSearchQuery(query);
+        const searchText = getUpstreamSearchText(parsed);
+        document.getElementById('search-results-title').textContent =
+            `Search Results for "${parsed.text || searchText}"`;
+        this.renderSearchFilterChips(parsed);
 
         const tracksContainer = document.getElementById('search-tracks-container');
         const artistsContainer = document.getElementById('search-artists-container');
@@ -1120,12 +1209,36 @@ export class UIRenderer {
         this.searchAbortController = new AbortController();
         const signal = this.searchAbortController.signal;
 
+        // Paging state per result section, the load more controls read it
+        const { filters } = parsed;
+        const state = { query: searchText, filters, signal, sections: {} };
+        this.searchState = state;
+        this.updateSearchLoadMore();
+
+        if (!searchText) {
+            const placeholder = createPlaceholder('Add some search terms to use with these filters.');
+            [tracksContainer, artistsContainer, albumsContainer, playlistsContainer].forEach((container) => {
+                container.innerHTML = placeholder;
+            });
+            return;
+        }
+
+        if (filters.type) {
+            document.querySelector(`#page-search .search-tab[data-tab="${filters.type}"]`)?.click();
+        }
+
+        const page = { offset: 0, limit: SEARCH_PAGE_SIZE, filters };
+        const empty = { items: [], limit: 0, offset: 0, totalNumberOfItems: 0 };
+        // type: limits the search to a single section
+        const searchSection = (type, search) =>
+            filters.type && filters.type !== type ? Promise.resolve(empty) : search(searchText, { signal, ...page });
+
         try {
             const [tracksResult, artistsResult, albumsResult, playlistsResult] = await Promise.all([
-                this.api.searchTracks(query, { signal }),
-                this.api.searchArtists(query, { signal }),
-                this.api.searchAlbums(query, { signal }),
-                this.api.searchPlaylists(query, { signal }),
+                searchSection('tracks', (q, o) => this.api.searchTracks(q, o)),
+                searchSection('artists', (q, o) => this.api.searchArtists(q, o)),
+                searchSection('albums', (q, o) => this.api.searchAlbums(q, o)),
+                searchSection('playlists', (q, o) => this.api.searchPlaylists(q, o)),
             ]);
 
             let finalTracks = tracksResult.items;
@@ -1133,7 +1246,7 @@ export class UIRenderer {
             let finalAlbums = albumsResult.items;
             let finalPlaylists = playlistsResult.items;
 
-            if (finalArtists.length === 0 && finalTracks.length > 0) {
+            if (finalArtists.length === 0 && finalTracks.length > 0 && !filters.type) {
                 const artistMap = new Map();
                 finalTracks.forEach((track) => {
                     if (track.artist && !artistMap.has(track.artist.id)) {
@@ -1150,7 +1263,7 @@ export class UIRenderer {
                 finalArtists = Array.from(artistMap.values());
             }
 
-            if (finalAlbums.length === 0 && finalTracks.length > 0) {
+            if (finalAlbums.length === 0 && finalTracks.length > 0 && !filters.type) {
                 const albumMap = new Map();
                 finalTracks.forEach((track) => {
                     if (track.album && !albumMap.has(track.album.id)) {
@@ -1160,58 +1273,188 @@ export class UIRenderer {
                 finalAlbums = Array.from(albumMap.values());
             }
 
-            if (finalTracks.length) {
-                this.renderListWithTracks(tracksContainer, finalTracks, true);
-            } else {
-                tracksContainer.innerHTML = createPlaceholder('No tracks found.');
+            const sections = [
+                ['tracks', tracksResult, finalTracks],
+                ['artists', artistsResult, finalArtists],
+                ['albums', albumsResult, finalAlbums],
+                ['playlists', playlistsResult, finalPlaylists],
+            ];
+
+            for (const [type, result, items] of sections) {
+                state.sections[type] = {
+                    offset: SEARCH_PAGE_SIZE,
+                    // Sections filled from track results above have nothing more to page through
+                    hasMore: result.items.length > 0 && SEARCH_PAGE_SIZE < result.totalNumberOfItems,
+                    loading: false,
+                    seen: new Set(),
+                    // Tracks listed so far, other editions of them are collapsed
+                    shown: [],
+                };
+                this.renderSearchSection(type, items);
             }
 
-            artistsContainer.innerHTML = finalArtists.length
-                ? finalArtists.map((artist) => this.createArtistCardHTML(artist)).join('')
-                : createPlaceholder('No artists found.');
+            this.updateSearchLoadMore();
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error('Search failed:', error);
+            const errorMsg = createPlaceholder(`Error during search. ${error.message}`);
+            tracksContainer.innerHTML = errorMsg;
+            artistsContainer.innerHTML = errorMsg;
+            albumsContainer.innerHTML = errorMsg;
+            playlistsContainer.innerHTML = errorMsg;
+        }
+    }
 
-            finalArtists.forEach((artist) => {
-                const el = artistsContainer.querySelector(`[data-artist-id="${artist.id}"]`);
-                if (el) {
-                    trackDataStore.set(el, artist);
-                    this.updateLikeState(el, 'artist', artist.id);
-                }
-            });
+    // Renders (or appends) one search result section, skipping items already shown (for tracks,
+    // other editions of a listed recording too) and items the search filters reject. Returns the
+    // items that were new, whether they matched or not
+    renderSearchSection(type, items, append = false) {
+        const { sections, filters } = this.searchState;
+        const section = sections[type];
+        const container = document.getElementById(`search-${type}-container`);
+        const keyOf = (item) => (type === 'playlists' ? item.uuid : item.id);
+
+        const fresh = items.filter((item) => !section.seen.has(keyOf(item)));
+        fresh.forEach((item) => section.seen.add(keyOf(item)));
+        const matching = fresh.filter((item) => matchesSearchFilters(item, type, filters));
+
+        if (!append && matching.length === 0) {
+            container.innerHTML = createPlaceholder(`No ${type} found.`);
+            return fresh;
+        }
 
-            albumsContainer.innerHTML = finalAlbums.length
-                ? finalAlbums.map((album) => this.createAlbumCardHTML(album)).join('')
-                : createPlaceholder('No albums found.');
+        // Filtered pages can come back empty while later ones still match
+        if (append && matching.length > 0) {
+            container.querySelector(':scope > .placeholder-text')?.remove();
+        }
 
-            finalAlbums.forEach((album) => {
-                const el = albumsContainer.querySelector(`[data-album-id="${album.id}"]`);
-                if (el) {
-                    trackDataStore.set(el, album);
-                    this.updateLikeState(el, 'album', album.id);
-                }
+        if (type === 'tracks') {
+            const tracks = matching.filter((track) => {
+                if (section.shown.some((shown) => isSameRecording(shown, track))) return false;
+                section.shown.push(track);
+                return true;
             });
+            if (tracks.length > 0) this.renderListWithTracks(container, tracks, true, append);
+            return fresh;
+        }
+
+        const { createCard, attr, likeType } = {
+            artists: { createCard: (a) => this.createArtistCardHTML(a), attr: 'data-artist-id', likeType: 'artist' },
+            albums: { createCard: (a) => this.createAlbumCardHTML(a), attr: 'data-album-id', likeType: 'album' },
+            playlists: {
+                createCard: (p) => this.createPlaylistCardHTML(p),
+                attr: 'data-playlist-id',
+                likeType: 'playlist',
+            },
+        }[type];
 
-            playlistsContainer.innerHTML = finalPlaylists.length
-                ? finalPlaylists.map((playlist) => this.createPlaylistCardHTML(playlist)).join('')
-                : createPlaceholder('No playlists found.');
+        const html = matching.map(createCard).join('');
+        if (append) {
+            container.insertAdjacentHTML('beforeend', html);
+        } else {
+            container.innerHTML = html;
+        }
 
-            finalPlaylists.forEach((playlist) => {
-                const el = playlistsContainer.querySelector(`[data-playlist-id="${playlist.uuid}"]`);
-                if (el) {
-                    trackDataStore.set(el, playlist);
-                    this.updateLikeState(el, 'playlist', playlist.uuid);
-                }
+        matching.forEach((item) => {
+            const el = container.querySelector(`[${attr}="${keyOf(item)}"]`);
+            if (el) {
+                trackDataStore.set(el, item);
+                this.updateLikeState(el, likeType, keyOf(item));
+            }
+        });
+
+        return fresh;
+    }
+
+    async loadMoreSearchResults(type) {
+        const state = this.searchState;
+        const section = state?.sections[type];
+        if (!section || section.loading || !section.hasMore || state.signal.aborted) return;
+
+        section.loading = true;
+        this.updateSearchLoadMore();
+
+        const search = {
+            tracks: (q, o) => this.api.searchTracks(q, o),
+            artists: (q, o) => this.api.searchArtists(q, o),
+            albums: (q, o) => this.api.searchAlbums(q, o),
+            playlists: (q, o) => this.api.searchPlaylists(q, o),
+        }[type];
+
+        try {
+            const result = await search(state.query, {
+                signal: state.signal,
+                offset: section.offset,
+                limit: SEARCH_PAGE_SIZE,
+                filters: state.filters,
             });
+            if (this.searchState !== state) return;
+
+            const fresh = this.renderSearchSection(type, result.items, true);
+            section.offset += SEARCH_PAGE_SIZE;
+            // Stop once a page adds nothing new, some instances ignore the offset
+            section.hasMore = fresh.length > 0 && section.offset < result.totalNumberOfItems;
         } catch (error) {
             if (error.name === 'AbortError') return;
-            console.error('Search failed:', error);
-            const errorMsg = createPlaceholder(`Error during search. ${error.message}`);
-            tracksContainer.innerHTML = errorMsg;
-            artistsContainer.innerHTML = errorMsg;
-            albumsContainer.innerHTML = errorMsg;
-            playlistsContainer.innerHTML = errorMsg;
+            console.error(`Loading more ${type} failed:`, error);
+        } finally {
+            section.loading = false;
+            if (this.searchState === state) this.updateSearchLoadMore();
         }
     }
 
+    renderSearchFilterChips({ qualifiers, raw }) {
+        const container = document.getElementById('search-filter-chips');
+        if (!container) return;
+
+        container.innerHTML = qualifiers
+            .map(
+                ({ token }) => `
+                <button class="search-filter-chip" data-token="${escapeHtml(token)}" title="Remove filter">
+                    ${escapeHtml(token)}
+                    <span aria-hidden="true">&times;</span>
+                </button>
+            `
+            )
+            .join('');
+
+        container.querySelectorAll('.search-filter-chip').forEach((chip) => {
+            chip.addEventListener('click', () => {
+                const query = removeSearchQualifier(raw, chip.dataset.token);
+                const searchInput = document.getElementById('search-input');
+                if (searchInput) searchInput.value = query;
+                window.location.hash = query ? `#search/${encodeURIComponent(query)}` : '#home';
+            });
+        });
+    }
+
+    // Load more buttons double as infinite scroll sentinels
+    updateSearchLoadMore() {
+        const buttons = document.querySelectorAll('.search-load-more');
+
+        if (!this.searchLoadMoreObserver) {
+            this.searchLoadMoreObserver = new IntersectionObserver(
+                (entries) => {
+                    entries.forEach((entry) => {
+                        if (entry.isIntersecting) this.loadMoreSearchResults(entry.target.dataset.type);
+                    });
+                },
+                { root: document.querySelector('.main-content'), rootMargin: '400px' }
+            );
+        }
+
+        buttons.forEach((button) => {
+            const section = this.searchState?.sections[button.dataset.type];
+            button.style.display = section?.hasMore ? '' : 'none';
+            button.disabled = !!section?.loading;
+            button.textContent = section?.loading ? 'Loading...' : 'Load more';
+
+            // Re-observing fires a fresh callback, so short result lists keep filling the viewport
+            this.searchLoadMoreObserver.unobserve(button);
+            if (section?.hasMore && !section.loading) this.searchLoadMoreObserver.observe(button);
+        });
+    }
+
     async renderAlbumPage(albumId) {
         this.showPage('album');
 
@@ -1435,7 +1678,8 @@ export class UIRenderer {
         }
 
         try {
-            const recommendedTracks = await this.api.getRecommendedTracksForPlaylist(tracks, 20);
+            const signals = await this.getRecommendationSignals();
+            const recommendedTracks = await this.api.getRecommendedTracksForPlaylist(tracks, 20, signals);
 
             if (recommendedTracks.length > 0) {
                 this.renderListWithTracks(recommendedContainer, recommendedTracks, true);
@@ -1828,6 +2072,192 @@ export class UIRenderer {
         }
     }
 
+    async renderTrackPage(trackId, { startTime = 0 } = {}) {
+        this.showPage('track');
+        this.trackPageId = trackId;
+        const isCurrentPage = () => this.trackPageId === trackId;
+
+        const imageEl = document.getElementById('track-detail-image');
+        const titleEl = document.getElementById('track-detail-title');
+        const metaEl = document.getElementById('track-detail-meta');
+        const albumEl = document.getElementById('track-detail-album');
+        const lyricsEl = document.getElementById('track-detail-lyrics');
+        const lyricsSection = document.getElementById('track-section-lyrics');
+        const creditsEl = document.getElementById('track-detail-credits');
+        const albumsEl = document.getElementById('track-detail-albums');
+        const albumsSection = document.getElementById('track-section-albums');
+        const mixEl = document.getElementById('track-detail-mix');
+        const mixSection = document.getElementById('track-section-mix');
+        const similarEl = document.getElementById('track-detail-similar');
+        const similarSection = document.getElementById('track-section-similar');
+        const playBtn = document.getElementById('play-track-btn');
+        const mixBtn = document.getElementById('track-page-mix-btn');
+        const shareBtn = document.getElementById('share-track-btn');
+
+        imageEl.src = '';
+        imageEl.style.backgroundColor = 'var(--muted)';
+        titleEl.innerHTML = '<div class="skeleton" style="height: 48px; width: 300px; max-width: 90%;"></div>';
+        metaEl.innerHTML = '<div class="skeleton" style="height: 16px; width: 200px; max-width: 80%;"></div>';
+        albumEl.innerHTML = '';
+        lyricsSection.style.display = 'block';
+        lyricsEl.innerHTML = '<div class="skeleton" style="height: 120px; width: 100%;"></div>';
+        creditsEl.innerHTML = '<div class="skeleton" style="height: 80px; width: 100%;"></div>';
+        [albumsSection, mixSection, similarSection].forEach((section) => (section.style.display = 'none'));
+        mixBtn.style.display = 'none';
+        playBtn.innerHTML = `${SVG_PLAY}<span>${startTime > 0 ? `Play from ${formatTime(startTime)}` : 'Play'}</span>`;
+
+        try {
+            const track = await this.api.getTrackMetadata(trackId);
+            if (!isCurrentPage()) return;
+
+            const cover = track.album?.cover;
+            if (cover) {
+                imageEl.src = this.api.getCoverUrl(cover, '1080');
+                this.setPageBackground(imageEl.src);
+                this.extractAndApplyColor(this.api.getCoverUrl(cover, '160'));
+            } else {
+                imageEl.src = 'assets/appicon.png';
+                this.setPageBackground(null);
+                this.resetVibrantColor();
+            }
+            imageEl.style.backgroundColor = '';
+
+            const title = getTrackTitle(track);
+            titleEl.innerHTML = `${escapeHtml(title)} ${hasExplicitContent(track) ? this.createExplicitBadge() : ''} ${createQualityBadgeHTML(track)}`;
+            this.adjustTitleFontSize(titleEl, title);
+
+            const artists = (track.artists?.length ? track.artists : [track.artist]).filter(Boolean);
+            const releaseDate = new Date(track.album?.releaseDate || track.streamStartDate || '');
+            metaEl.innerHTML = [
+                artists.map((a) => `<a href="#artist/${a.id}">${escapeHtml(a.name)}</a>`).join(', '),
+                isNaN(releaseDate.getTime()) ? null : releaseDate.getFullYear(),
+                formatTime(track.duration || 0),
+            ]
+                .filter(Boolean)
+                .join(' • ');
+            albumEl.innerHTML = track.album?.id
+                ? `From <a href="#album/${track.album.id}">${escapeHtml(track.album.title || 'Unknown Album')}</a>`
+                : '';
+
+            playBtn.onclick = () => {
+                this.player.setQueue([track], 0);
+                this.player.playTrackFromQueue(startTime);
+            };
+
+            if (track.mixes?.TRACK_MIX) {
+                mixBtn.style.display = 'flex';
+                mixBtn.onclick = () => (window.location.hash = `#mix/${track.mixes.TRACK_MIX}`);
+            }
+
+            // A link shared while the track is playing starts where the sharer was
+            shareBtn.onclick = () => {
+                const position =
+                    this.player.currentTrack?.id === track.id ? Math.floor(this.player.audio.currentTime || 0) : 0;
+                const url = `${window.location.origin}${window.location.pathname}#track/${track.id}${position > 0 ? `?t=${position}` : ''}`;
+                navigator.clipboard.writeText(url).then(() => alert('Link copied to clipboard!'));
+            };
+
+            const likeBtn = document.getElementById('like-track-btn');
+            const isLiked = await db.isFavorite('track', track.id);
+            likeBtn.innerHTML = this.createHeartIcon(isLiked);
+            likeBtn.classList.toggle('active', isLiked);
+
+            document.title = `${title} • ${getTrackArtists(track)}`;
+
+            // Every section loads on its own and hides itself when there's nothing to show
+            this.api
+                .getLyrics(track)
+                .then((lyrics) => {
+                    if (!isCurrentPage()) return;
+                    const lines = (lyrics?.subtitles || lyrics?.lyrics || '')
+                        .split('\n')
+                        .map((line) => line.replace(/^\[[^\]]*\]\s*/, '').trim())
+                        .filter(Boolean);
+                    if (lines.length === 0) {
+                        lyricsSection.style.display = 'none';
+                        return;
+                    }
+                    lyricsEl.classList.remove('expanded');
+                    lyricsEl.classList.toggle('collapsible', lines.length > TRACK_LYRICS_PREVIEW_LINES);
+                    lyricsEl.innerHTML = `
+                        <div class="track-lyrics-lines">${lines.map((line) => `<p>${escapeHtml(line)}</p>`).join('')}</div>
+                        ${lines.length > TRACK_LYRICS_PREVIEW_LINES ? '<button class="btn-secondary track-lyrics-toggle">Show all</button>' : ''}
+                    `;
+                    lyricsEl.querySelector('.track-lyrics-toggle')?.addEventListener('click', (e) => {
+                        const expanded = lyricsEl.classList.toggle('expanded');
+                        e.currentTarget.textContent = expanded ? 'Show less' : 'Show all';
+                    });
+                })
+                .catch(() => {
+                    if (isCurrentPage()) lyricsSection.style.display = 'none';
+                });
+
+            this.api
+                .getCredits(track)
+                .catch(() => [])
+                .then((credits) => {
+                    if (!isCurrentPage()) return;
+                    creditsEl.innerHTML = createCreditsHTML(groupCredits(credits));
+                    creditsEl.onclick = handleCreditClick;
+                });
+
+            const artistName = track.artist?.name || artists[0]?.name || '';
+            this.api
+                .search(`${normalizeTrackTitle(track.title || '')} ${artistName}`.trim(), 'tracks')
+                .then(({ items }) => {
+                    if (!isCurrentPage()) return;
+                    const albums = new Map();
+                    for (const version of [track, ...findOtherVersions(track, items)]) {
+                        if (version.album?.id && !albums.has(version.album.id)) {
+                            albums.set(version.album.id, {
+                                ...version.album,
+                                artist: version.album.artist || version.artist,
+                            });
+                        }
+                    }
+                    if (albums.size === 0) return;
+                    albumsEl.innerHTML = [...albums.values()].map((album) => this.createAlbumCardHTML(album)).join('');
+                    albums.forEach((album) => {
+                        const el = albumsEl.querySelector(`[data-album-id="${album.id}"]`);
+                        if (el) {
+                            trackDataStore.set(el, album);
+                            this.updateLikeState(el, 'album', album.id);
+                        }
+                    });
+                    albumsSection.style.display = 'block';
+                })
+                .catch(() => {});
+
+            if (track.mixes?.TRACK_MIX) {
+                this.api
+                    .getMix(track.mixes.TRACK_MIX)
+                    .then(({ tracks }) => {
+                        if (!isCurrentPage()) return;
+                        const mixTracks = tracks.filter((t) => t.id !== track.id).slice(0, TRACK_PAGE_LIST_SIZE);
+                        if (mixTracks.length === 0) return;
+                        this.renderListWithTracks(mixEl, mixTracks, true);
+                        mixSection.style.display = 'block';
+                    })
+                    .catch(() => {});
+            }
+
+            this.getRecommendationSignals()
+                .then((signals) => this.api.getRecommendedTracksForPlaylist([track], TRACK_PAGE_LIST_SIZE, signals))
+                .then((similar) => {
+                    if (!isCurrentPage() || similar.length === 0) return;
+                    this.renderListWithTracks(similarEl, similar, true);
+                    similarSection.style.display = 'block';
+                })
+                .catch(() => {});
+        } catch (error) {
+            console.error('Failed to load track:', error);
+            titleEl.textContent = 'Track not found';
+            metaEl.innerHTML = '';
+            lyricsSection.style.display = 'none';
+            creditsEl.innerHTML = createPlaceholder(`Could not load track details. ${error.message}`);
+        }
+    }
+
     async renderArtistPage(artistId) {
         this.showPage('artist');
 
@@ -1835,9 +2265,7 @@ export class UIRenderer {
         const nameEl = document.getElementById('artist-detail-name');
         const metaEl = document.getElementById('artist-detail-meta');
         const tracksContainer = document.getElementById('artist-detail-tracks');
-        const albumsContainer = document.getElementById('artist-detail-albums');
-        const epsContainer = document.getElementById('artist-detail-eps');
-        const epsSection = document.getElementById('artist-section-eps');
+        const discographyContainer = document.getElementById('artist-detail-discography');
         const similarContainer = document.getElementById('artist-detail-similar');
         const similarSection = document.getElementById('artist-section-similar');
         const dlBtn = document.getElementById('download-discography-btn');
@@ -1848,9 +2276,7 @@ export class UIRenderer {
         nameEl.innerHTML = '<div class="skeleton" style="height: 48px; width: 300px; max-width: 90%;"></div>';
         metaEl.innerHTML = '<div class="skeleton" style="height: 16px; width: 150px;"></div>';
         tracksContainer.innerHTML = this.createSkeletonTracks(5, true);
-        albumsContainer.innerHTML = this.createSkeletonCards(6, false);
-        if (epsContainer) epsContainer.innerHTML = this.createSkeletonCards(6, false);
-        if (epsSection) epsSection.style.display = 'none';
+        discographyContainer.innerHTML = `<div class="card-grid">${this.createSkeletonCards(6, false)}</div>`;
         if (similarContainer) similarContainer.innerHTML = this.createSkeletonCards(6, true);
         if (similarSection) similarSection.style.display = 'block';
 
@@ -1918,49 +2344,83 @@ export class UIRenderer {
                 artistLikeBtn.classList.toggle('active', isLiked);
             }
 
-            albumsContainer.innerHTML = artist.albums.map((album) => this.createAlbumCardHTML(album)).join('');
-            // Render Albums
-            albumsContainer.innerHTML = artist.albums.length
-                ? artist.albums.map((album) => this.createAlbumCardHTML(album)).join('')
-                : createPlaceholder('No albums found.');
-
-            // Render EPs and Singles
-            if (epsContainer && epsSection) {
-                if (artist.eps && artist.eps.length > 0) {
-                    epsContainer.innerHTML = artist.eps.map((album) => this.createAlbumCardHTML(album)).join('');
-                    epsSection.style.display = 'block';
-
-                    artist.eps.forEach((album) => {
-                        const el = epsContainer.querySelector(`[data-album-id="${album.id}"]`);
-                        if (el) {
-                            trackDataStore.set(el, album);
-                            this.updateLikeState(el, 'album', album.id);
-                        }
-                    });
-                } else {
-                    epsSection.style.display = 'none';
-                }
-            }
-
-            artist.albums.forEach((album) => {
-                const el = albumsContainer.querySelector(`[data-album-id="${album.id}"]`);
-                if (el) {
-                    trackDataStore.set(el, album);
-                    this.updateLikeState(el, 'album', album.id);
-                }
-            });
+            this.renderArtistDiscography(artistId, artist);
 
             recentActivityManager.addArtist(artist);
 
             document.title = artist.name;
         } catch (error) {
             console.error('Failed to load artist:', error);
-            tracksContainer.innerHTML = albumsContainer.innerHTML = createPlaceholder(
+            tracksContainer.innerHTML = discographyContainer.innerHTML = createPlaceholder(
                 `Could not load artist details. ${error.message}`
             );
         }
     }
 
+    // Shows the releases from the artist lookup right away, then swaps in the full paged
+    // discography once it has loaded
+    async renderArtistDiscography(artistId, artist) {
+        const container = document.getElementById('artist-detail-discography');
+        const sortSelect = document.getElementById('artist-discography-sort');
+        this.discographyArtistId = artistId;
+
+        let releases = [...(artist.albums || []), ...(artist.eps || [])];
+
+        const render = () => {
+            const groups = groupDiscography(releases, artistId, discographySettings.getSort());
+            const visible = DISCOGRAPHY_GROUPS.filter(({ key }) => groups[key].length > 0);
+            if (visible.length === 0) {
+                container.innerHTML = createPlaceholder('No releases found.');
+                return;
+            }
+
+            container.innerHTML = visible
+                .map(
+                    ({ key, label }) => `
+                    <div class="discography-group" data-group="${key}">
+                        <h3 class="discography-group-title">${label} <span>${groups[key].length}</span></h3>
+                        <div class="card-grid">${groups[key].map((album) => this.createAlbumCardHTML(album)).join('')}</div>
+                    </div>
+                `
+                )
+                .join('');
+
+            for (const { key } of visible) {
+                const grid = container.querySelector(`[data-group="${key}"] .card-grid`);
+                groups[key].forEach((album) => {
+                    const el = grid.querySelector(`[data-album-id="${album.id}"]`);
+                    if (el) {
+                        trackDataStore.set(el, album);
+                        this.updateLikeState(el, 'album', album.id);
+                    }
+                });
+            }
+        };
+
+        sortSelect.value = discographySettings.getSort();
+        sortSelect.onchange = () => {
+            discographySettings.setSort(sortSelect.value);
+            render();
+        };
+        render();
+
+        try {
+            const discography = await this.api.getArtistDiscography(artistId);
+            // Another artist page may have opened meanwhile
+            if (this.discographyArtistId !== artistId) return;
+            releases = discography;
+            render();
+        } catch (error) {
+            console.warn('Failed to load full discography:', error);
+        }
+    }
+
+    renderNotFoundPage(path) {
+        this.showPage('not-found');
+        document.getElementById('not-found-path').textContent = `#${path}`;
+        document.title = 'Page not found • Monochrome Music';
+    }
+
     async renderRecentPage() {
         this.showPage('recent');
         const container = document.getElementById('recent-tracks-container');
@@ -2031,7 +2491,13 @@ export class UIRenderer {
         const actionsDiv = document.getElementById('page-playlist').querySelector('.detail-header-actions');
 
         // Cleanup existing dynamic buttons
-        ['shuffle-playlist-btn', 'edit-playlist-btn', 'delete-playlist-btn', 'share-playlist-btn'].forEach((id) => {
+        [
+            'shuffle-playlist-btn',
+            'edit-playlist-btn',
+            'dedupe-playlist-btn',
+            'delete-playlist-btn',
+            'share-playlist-btn',
+        ].forEach((id) => {
             const btn = actionsDiv.querySelector(`#${id}`);
             if (btn) btn.remove();
         });
@@ -2060,6 +2526,14 @@ export class UIRenderer {
                 '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/><path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/></svg><span>Edit</span>';
             fragment.appendChild(editBtn);
 
+            const dedupeBtn = document.createElement('button');
+            dedupeBtn.id = 'dedupe-playlist-btn';
+            dedupeBtn.className = 'btn-secondary';
+            dedupeBtn.title = 'Remove other copies and editions of the same recording';
+            dedupeBtn.innerHTML =
+                '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="8" y="8" width="14" height="14" rx="2"/><path d="M4 16c-1.1 0-2-.9-2-2V4c0-1.1.9-2 2-2h10c1.1 0 2 .9 2 2"/><path d="m12 15 6 0"/></svg><span>Remove Duplicates</span>';
+            fragment.appendChild(dedupeBtn);
+
             const deleteBtn = document.createElement('button');
             deleteBtn.id = 'delete-playlist-btn';
             deleteBtn.className = 'btn-secondary danger';
@@ -2256,11 +2730,23 @@ export class UIRenderer {
                                     : `<span style="color: var(--muted-foreground); font-size: 0.8rem;">${speedInfo.speed.toFixed(0)}ms</span>`
                                 : '';
 
+                            const health = instanceHealth.getStatus(url, type);
+                            const healthText =
+                                health && !health.available
+                                    ? `<span style="color: var(--muted-foreground); font-size: 0.8rem;"> · ${health.cooldownUntil > Date.now() ? 'Rate limited' : 'Unhealthy'}</span>`
+                                    : '';
+
+                            const meta = this.api.settings.getInstanceMeta(url);
+                            const metaParts = [meta.region, meta.capabilities?.join(', ')].filter(Boolean);
+                            const metaText = metaParts.length
+                                ? `<span style="color: var(--muted-foreground); font-size: 0.8rem;"> · ${escapeHtml(metaParts.join(' · '))}</span>`
+                                : '';
+
                             return `
-                        <li data-index="${index}" data-type="${type}">
+                        <li data-index="${index}" data-type="${type}"${meta.note ? ` title="${escapeHtml(meta.note)}"` : ''}>
                             <div style="flex: 1; min-width: 0;">
                                 <div class="instance-url">${url}</div>
-                                ${speedText}
+                                ${speedText}${healthText}${metaText}
                             </div>
                             <div class="controls">
                                 <button class="move-up" title="Move Up" ${index === 0 ? 'disabled' : ''}>
@@ -2288,13 +2774,113 @@ export class UIRenderer {
                 };
 
                 container.innerHTML = renderGroup(apiInstances, 'api') + renderGroup(streamingInstances, 'streaming');
+                this.renderProbeMatrix([...new Set([...apiInstances, ...streamingInstances])]);
 
-                const stats = this.api.getCacheStats();
-                const cacheInfo = document.getElementById('cache-info');
-                if (cacheInfo) {
-                    cacheInfo.textContent = `Cache: ${stats.memoryEntries}/${stats.maxSize} entries`;
-                }
+                this.renderCacheInspector();
             }
         );
     }
+
+    async renderCacheInspector() {
+        const container = document.getElementById('cache-inspector');
+        const cacheInfo = document.getElementById('cache-info');
+        if (!container) return;
+
+        const usage = await this.api.getCacheUsage();
+        const stats = this.api.getCacheStats();
+        const formatSize = (bytes) =>
+            bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+
+        if (cacheInfo) {
+            const lookups = stats.hits + stats.staleHits + stats.misses;
+            const hitRate = lookups ? Math.round(((stats.hits + stats.staleHits) / lookups) * 100) : 0;
+            cacheInfo.textContent =
+                `Memory ${formatSize(stats.memoryBytes)} of ${formatSize(stats.memoryBudget)} · ` +
+                `Disk ${formatSize(stats.diskBytes || 0)} of ${formatSize(stats.diskBudget)} · ` +
+                `${hitRate}% hits (${stats.hits} fresh, ${stats.staleHits} stale, ${stats.misses} misses) · ` +
+                `${stats.memoryEvictions + stats.diskEvictions} evicted`;
+        }
+
+        const memorySelect = document.getElementById('cache-memory-budget');
+        const diskSelect = document.getElementById('cache-disk-budget');
+        if (memorySelect) memorySelect.value = String(stats.memoryBudget / (1024 * 1024));
+        if (diskSelect) diskSelect.value = String(stats.diskBudget / (1024 * 1024));
+
+        if (usage.length === 0) {
+            container.innerHTML = '<p class="cache-inspector-empty">Nothing cached yet</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <table class="probe-matrix cache-inspector">
+                <thead>
+                    <tr>
+                        <th>Type</th>
+                        <th>Memory</th>
+                        <th>Disk</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${usage
+                        .map(
+                            (row) => `
+                        <tr>
+                            <td class="probe-url">${escapeHtml(row.type)}</td>
+                            <td>${row.memoryEntries} · ${formatSize(row.memoryBytes)}</td>
+                            <td>${row.diskEntries} · ${formatSize(row.diskBytes)}</td>
+                            <td><button class="btn-secondary" data-purge-type="${escapeHtml(row.type)}">Purge</button></td>
+                        </tr>
+                    `
+                        )
+                        .join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    renderProbeMatrix(urls) {
+        const container = document.getElementById('instance-probe-matrix');
+        if (!container) return;
+
+        const results = instanceProbes.getResults();
+        const probes = instanceProbes.PROBES;
+
+        const cell = (url, probe) => {
+            const result = results[url]?.[probe.key];
+            if (!result) return '<td class="probe-unknown" title="Not probed">–</td>';
+
+            const stale = instanceProbes.isStale(result);
+            const title = [result.detail, `Checked ${new Date(result.checkedAt).toLocaleString()}`]
+                .filter(Boolean)
+                .join(' · ');
+            if (result.ok === null) {
+                return `<td class="probe-unknown${stale ? ' probe-stale' : ''}" title="${escapeHtml(title)}">?</td>`;
+            }
+            return `<td class="${result.ok ? 'probe-ok' : 'probe-failed'}${stale ? ' probe-stale' : ''}" title="${escapeHtml(title)}">${result.ok ? '✓' : '✗'}</td>`;
+        };
+
+        container.innerHTML = `
+            <table class="probe-matrix">
+                <thead>
+                    <tr>
+                        <th>Instance</th>
+                        ${probes.map((probe) => `<th>${probe.label}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${urls
+                        .map(
+                            (url) => `
+                        <tr>
+                            <td class="probe-url">${escapeHtml(url.replace(/^https?:\/\//, ''))}</td>
+                            ${probes.map((probe) => cell(url, probe)).join('')}
+                        </tr>
+                    `
+                        )
+                        .join('')}
+                </tbody>
+            </table>
+        `;
+    }
 }
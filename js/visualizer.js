@@ -1,14 +1,14 @@
 //js/visualizer.js
 export class Visualizer {
-    constructor(audioElement) {
-        this.audio = audioElement;
+    // Takes the player's output, whose analyser sees both decks
+    constructor(output) {
+        this.output = output;
         this.isActive = false;
         this.animationId = null;
         this.canvas = null;
         this.canvasCtx = null;
         this.analyser = null;
         this.audioContext = null;
-        this.source = null;
         this.dataArray = null;
         this.bufferLength = null;
         this.visualizationStyle = 'bars'; // 'bars', 'waveform', 'circular'
@@ -23,21 +23,13 @@ export class Visualizer {
         if (this.audioContext) return;
 
         try {
-            // Create audio context
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-
-            // Create analyser node
-            this.analyser = this.audioContext.createAnalyser();
+            // Share the output's audio graph, its analyser sits after every effect
+            const graph = this.output.getAudioGraph();
+            this.audioContext = graph.context;
+            this.analyser = graph.analyser;
             this.analyser.fftSize = 2048;
             this.bufferLength = this.analyser.frequencyBinCount;
             this.dataArray = new Uint8Array(this.bufferLength);
-
-            // Connect audio element to analyser
-            if (!this.source) {
-                this.source = this.audioContext.createMediaElementSource(this.audio);
-                this.source.connect(this.analyser);
-                this.analyser.connect(this.audioContext.destination);
-            }
         } catch (error) {
             console.error('Failed to initialize visualizer:', error);
             throw error;
@@ -215,11 +207,8 @@ export class Visualizer {
 
     destroy() {
         this.stop();
-        if (this.audioContext && this.audioContext.state !== 'closed') {
-            this.audioContext.close();
-        }
+        // The audio graph belongs to the player's output and outlives the visualizer
         this.audioContext = null;
-        this.source = null;
         this.analyser = null;
     }
 }